@@ -1,69 +1,316 @@
 import { Debugger } from './debug/Debugger.js';
+import { ErrorReporter } from './debug/ErrorReporter.js';
+import { MessageInspector } from './debug/MessageInspector.js';
+import { Tracker } from './analytics/Tracker.js';
+import { BellhopSink } from './analytics/BellhopSink.js';
+import { LearningRecorder } from './learning/LearningRecorder.js';
 import { HintSequencePlayer } from './hints/HintSequencePlayer.js';
-import { Property } from './state/Property.js';
+import { Property, DerivedProperty } from './state/Property.js';
+import { Schema } from './state/Schema.js';
+import { PersistentSettings } from './state/PersistentSettings.js';
+import { UserData } from './state/UserData.js';
 import { BellhopSingleton } from './communication/BellhopSingleton';
+import { ConnectionMonitor } from './communication/ConnectionMonitor';
+import { TrustedOrigins } from './communication/TrustedOrigins';
+import { StandalonePanel } from './standalone/StandalonePanel.js';
+import { COLOR_VISION } from './accessibility/ColorFilter/ColorVisionConstants';
+import { ColorFilter } from './accessibility/ColorFilter/ColorFilter.js';
 
 const pause = 'pause';
-const captionsMuted = 'captionsMuted';
-const captionsStyles = 'captionsStyles';
-const soundVolume = 'soundVolume';
-const musicVolume = 'musicVolume';
-const voVolume = 'voVolume';
-const sfxVolume = 'sfxVolume';
 const playHelp = 'playHelp';
-const pointerSize = 'pointerSize';
-const controlSensitivity = 'controlSensitivity';
-const buttonSize = 'buttonSize';
-const removableLayers = 'removableLayers';
-const hudPosition = 'hudPosition';
-const keyBinding = 'keyBinding';
-const colorVision = 'colorVision';
-const hitAreaScale = 'hitAreaScale';
-const dragThresholdScale = 'dragThresholdScale';
-const health = 'health';
-const objectCount = 'objectCount';
-const completionPercentage = 'completionPercentage';
-const speedScale = 'speedScale';
-const timersScale = 'timersScale';
-const inputCount = 'inputCount';
-const fullScreen = 'fullScreen';
-
-const stateDefaults = {
-  [pause]: false,
-  [captionsMuted]: true,
-  [captionsStyles]: {
-    color: '#FFFFFF',
-    edge: 'none',
-    font: 'arial',
-    background: '#000000',
-    size: 'md',
-    align: 'top'
+
+const booleanSchema = { type: 'boolean' };
+const unitSchema = { type: 'number', min: 0, max: 1 };
+const captionsStylesSchema = {
+  type: 'object',
+  properties: {
+    color: { type: 'string' },
+    edge: { type: 'string' },
+    font: { type: 'string' },
+    background: { type: 'string' },
+    size: { type: 'string' },
+    align: { type: 'string' }
+  }
+};
+
+/**
+ * The schemas of built in container messages that do not change feature state. Messages that do not match are ignored.
+ * @private
+ */
+const messageSchemas = {
+  handshake: {
+    type: 'object',
+    properties: {
+      version: { type: 'number' },
+      capabilities: { type: 'array', items: { type: 'string' } }
+    }
   },
-  [soundVolume]: 1,
-  [musicVolume]: 1,
-  [voVolume]: 1,
-  [sfxVolume]: 1,
-  [pointerSize]: 0.5,
-  [controlSensitivity]: 0.5,
-  [buttonSize]: 0.5,
-  [removableLayers]: 0,
-  [hudPosition]: '',
-  [hitAreaScale]: 0.5,
-  [dragThresholdScale]: 0.5,
-  [health]: 0.5,
-  [objectCount]: 0.5,
-  [completionPercentage]: 0.5,
-  [speedScale]: 0.5,
-  [timersScale]: 0.5,
-  [inputCount]: 0.5,
-  [keyBinding]: {},
-  [colorVision]: 'none',
-  [fullScreen]: false,
+  playOptions: { type: 'object' },
+  soundMuted: booleanSchema,
+  musicMuted: booleanSchema,
+  voMuted: booleanSchema,
+  sfxMuted: booleanSchema
 };
 
+/**
+ * The capabilities assumed for containers that do not answer the protocol handshake.
+ * @private
+ */
+const legacyCapabilities = ['features', 'keepFocus', 'legacyMute', 'userData'];
+
+/**
+ * The state properties that are not captured by snapshots, because they are controlled by the application and container.
+ * @private
+ */
+const snapshotExclude = ['ready', 'playOptions'];
+
+/**
+ * The state properties every application controls itself, which features can not use.
+ * @private
+ */
+const reservedStateKeys = ['ready', pause, 'playOptions'];
+
+/**
+ * The features every application supports, in the order they are reported to the container.
+ * @private
+ */
+const builtInFeatures = [
+  {
+    name: 'captions',
+    stateKey: 'captionsMuted',
+    default: true,
+    schema: booleanSchema
+  },
+  {
+    name: 'captionsStyles',
+    default: {
+      color: '#FFFFFF',
+      edge: 'none',
+      font: 'arial',
+      background: '#000000',
+      size: 'md',
+      align: 'top'
+    },
+    requiresListener: false,
+    schema: captionsStylesSchema,
+    equals: 'deep'
+  },
+  { name: 'sound', stateKey: 'soundVolume', default: 1, schema: unitSchema },
+  { name: 'vo', stateKey: 'voVolume', default: 1, schema: unitSchema },
+  { name: 'music', stateKey: 'musicVolume', default: 1, schema: unitSchema },
+  { name: 'sfx', stateKey: 'sfxVolume', default: 1, schema: unitSchema },
+  {
+    name: 'soundVolume',
+    default: 1,
+    requiresListener: false,
+    schema: unitSchema
+  },
+  {
+    name: 'musicVolume',
+    default: 1,
+    requiresListener: false,
+    schema: unitSchema
+  },
+  {
+    name: 'voVolume',
+    default: 1,
+    requiresListener: false,
+    schema: unitSchema
+  },
+  {
+    name: 'sfxVolume',
+    default: 1,
+    requiresListener: false,
+    schema: unitSchema
+  },
+  { name: 'pointerSize', default: 0.5, schema: unitSchema },
+  { name: 'controlSensitivity', default: 0.5, schema: unitSchema },
+  { name: 'buttonSize', default: 0.5, schema: unitSchema },
+  { name: 'removableLayers', default: 0, schema: unitSchema },
+  {
+    name: 'hudPosition',
+    default: '',
+    schema: { type: 'string', enum: ['', 'top', 'bottom', 'left', 'right'] }
+  },
+  {
+    name: 'keyBinding',
+    default: [],
+    schema: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          actionName: { type: 'string' },
+          currentKey: { type: 'string' }
+        }
+      }
+    },
+    equals: 'deep'
+  },
+  {
+    name: 'colorVision',
+    default: COLOR_VISION.NONE,
+    // containers send either the COLOR_VISION names or the lowercase ColorFilter types
+    schema: {
+      type: 'string',
+      enum: [COLOR_VISION.NONE].concat(
+        ColorFilter.prototype.types.map(type => type.name)
+      ),
+      ignoreCase: true
+    }
+  },
+  { name: 'hitAreaScale', default: 0.5, schema: unitSchema },
+  { name: 'dragThresholdScale', default: 0.5, schema: unitSchema },
+  { name: 'health', default: 0.5, schema: unitSchema },
+  { name: 'objectCount', default: 0.5, schema: unitSchema },
+  { name: 'completionPercentage', default: 0.5, schema: unitSchema },
+  { name: 'speedScale', default: 0.5, schema: unitSchema },
+  { name: 'timersScale', default: 0.5, schema: unitSchema },
+  { name: 'inputCount', default: 0.5, schema: unitSchema },
+  { name: 'fullScreen', default: false, schema: booleanSchema, persist: false }
+];
+
+/**
+ * Fills in the defaults of a feature's options.
+ * @param {object} options
+ * @return {object} The feature.
+ * @private
+ */
+function createFeature({
+  name,
+  stateKey = name,
+  default: defaultValue,
+  containerEvent = stateKey,
+  requiresListener = true,
+  schema,
+  persist = true,
+  equals = 'strict'
+}) {
+  return {
+    name,
+    stateKey,
+    default: defaultValue,
+    containerEvent,
+    requiresListener,
+    schema,
+    persist,
+    equals
+  };
+}
+
+/**
+ * Returns the names of the plugins a plugin depends on, required dependencies first.
+ * @param {SpringRoll.ApplicationPlugin} plugin
+ * @return {string[]}
+ * @private
+ */
+function getDependencies(plugin) {
+  return (plugin.required || []).concat(plugin.optional || []);
+}
+
+/**
+ * Rejects if a promise does not settle within a given time.
+ * @param {Promise} promise
+ * @param {number} timeout The time to wait in milliseconds. Waits forever if this is not greater than 0.
+ * @return {Promise}
+ * @private
+ */
+function withTimeout(promise, timeout) {
+  if (!(timeout > 0)) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(`Timed out after ${timeout}ms`),
+      timeout
+    );
+
+    promise.then(
+      value => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      error => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Returns the plugin instance an Application uses for a registered plugin. Plugin classes are instantiated, so each
+ * Application gets its own instance, and plugin instances are shared by every Application they are registered with.
+ * @param {SpringRoll.ApplicationPlugin | function(new:SpringRoll.ApplicationPlugin)} plugin
+ * @return {SpringRoll.ApplicationPlugin}
+ * @private
+ */
+function createPlugin(plugin) {
+  if ('function' === typeof plugin) {
+    const Plugin = plugin;
+    return new Plugin();
+  }
+  return plugin;
+}
+
+/**
+ * Sorts plugins so that each plugin comes after all of the plugins it depends on, otherwise keeping their
+ * registration order. Optional dependencies that are not registered are ignored.
+ * @param {SpringRoll.ApplicationPlugin[]} plugins
+ * @return {SpringRoll.ApplicationPlugin[]}
+ * @throws Error if a required dependency is not registered, or the dependencies are circular
+ * @private
+ */
+function sortPlugins(plugins) {
+  const byName = {};
+  for (let i = 0; i < plugins.length; i++) {
+    byName[plugins[i].name] = plugins[i];
+  }
+
+  const sorted = [];
+  const visit = (plugin, path) => {
+    if (sorted.indexOf(plugin) !== -1) {
+      return;
+    }
+
+    if (path.indexOf(plugin) !== -1) {
+      const cycle = path.slice(path.indexOf(plugin)).concat(plugin);
+      throw new Error(
+        'Application plugins have a circular dependency: ' +
+          cycle.map(p => p.name).join(' -> ') +
+          '.'
+      );
+    }
+
+    const required = plugin.required || [];
+    for (let i = 0; i < required.length; i++) {
+      if (!byName[required[i]]) {
+        throw new Error(
+          `Application plugin "${plugin.name}" is missing required plugin "${required[i]}".`
+        );
+      }
+    }
+
+    const dependencies = getDependencies(plugin).filter(name => byName[name]);
+    for (let i = 0; i < dependencies.length; i++) {
+      visit(byName[dependencies[i]], path.concat(plugin));
+    }
+
+    sorted.push(plugin);
+  };
+
+  for (let i = 0; i < plugins.length; i++) {
+    visit(plugins[i], []);
+  }
+
+  return sorted;
+}
+
 /**
  * Main entry point for a game. Provides a single focal point for plugins and functionality to attach.
  * @class Application
+ * @property {SpringRoll.ApplicationPlugin[]} plugins The plugins used by this application
  * @property {object} features A configuration object denoting which features are enabled for this application
  * @property {boolean} [features.captions] A boolean value denoting that this game supports captions
  * @property {boolean} [features.sound] A boolean value denoting that this game has some audio in it
@@ -96,6 +343,36 @@ export class Application {
   /**
    * @param {object} [config={}]  Root configuration object for various internal Application objects
    * @param {object} [config.hintPlayer = HintSequencePlayer] IHintPlayer application will use.
+   * @param {Array<SpringRoll.ApplicationPlugin | function(new:SpringRoll.ApplicationPlugin)>} [config.plugins=[]] Plugins used by this application only, in addition to the ones registered with Application.uses. Plugin classes are instantiated for this application
+   * @param {boolean} [config.syncState=false] Whether state changes made by the game are sent back to the container once the application is ready
+   * @param {boolean | object} [config.persistSettings=false] Whether feature state is saved when it changes, and restored before the application is ready
+   * @param {string} [config.persistSettings.key='springrollSettings'] The name the settings are saved under
+   * @param {string[]} [config.persistSettings.exclude=[]] State properties that should not be saved
+   * @param {boolean | object} [config.autoPause=false] Whether the game pauses itself while it is hidden or loses focus, and resumes when it returns
+   * @param {boolean} [config.autoPause.visibility=true] Whether to pause while the page is hidden
+   * @param {boolean} [config.autoPause.blur=true] Whether to pause while the game does not have focus
+   * @param {boolean} [config.reportErrors=true] Whether uncaught errors and unhandled rejections are sent to the container as error events
+   * @param {object} [config.analytics] Options for the Tracker used by track(). Events are sent to the container by default
+   * @param {AnalyticsSink} [config.analytics.sink] Where tracked events are sent instead of the container
+   * @param {number} [config.analytics.batchSize=10] The number of events that are sent together
+   * @param {number} [config.analytics.flushInterval=1000] Milliseconds to wait before sending a batch that is not full
+   * @param {object} [config.learning] Options for the LearningRecorder, which is only created when this is provided
+   * @param {string} config.learning.activityId The IRI that identifies the game in learning statements
+   * @param {AnalyticsSink} [config.learning.sink] Where learning statements are sent instead of the container
+   * @param {Object.<string, SchemaDescriptor>} [config.playOptions] The schema and default (with a default property) of each playOption the game supports
+   * @param {Bellhop} [config.container=BellhopSingleton] The connection to the container, which can be replaced with a MockContainer in tests
+   * @param {boolean | object} [config.inspectMessages=false] Whether every message sent to and received from the container is recorded by a MessageInspector
+   * @param {number} [config.inspectMessages.maxEntries=500] The most messages that are kept
+   * @param {string | false} [config.inspectMessages.log='debug'] The Debugger level messages are logged at, or false to only record them
+   * @param {boolean} [config.inspectMessages.panel=false] Whether to show the recorded messages in a panel on the page
+   * @param {Array<string | RegExp>} [config.trustedOrigins] The origins container messages are accepted from. Messages from every origin are accepted if this is not provided
+   * @param {number} [config.handshakeTimeout=1000] Milliseconds to wait for the container to answer the protocol handshake before treating it as a legacy container
+   * @param {number} [config.heartbeatInterval=5000] Milliseconds between heartbeat messages, when the container supports them
+   * @param {number} [config.heartbeatTimeout=2000] Milliseconds to wait for the container to answer a heartbeat message before the connection is lost
+   * @param {number} [config.playOptionsTimeout=1000] Milliseconds to wait for playOptions from the container before the game is ready, when config.playOptions is provided
+   * @param {number} [config.preloadTimeout=0] Milliseconds to wait for each plugin to preload before marking it as failed. Waits forever if 0
+   * @param {boolean} [config.standalonePanel=false] Whether to show a settings panel for the enabled features when the game is not running in a container
+   * @param {number} [config.standaloneTimeout=1000] Milliseconds to wait for the container to connect before the game is treated as standalone. Games that are not in an iframe are standalone straight away
    * @param {object} [config.features={}] A configuration object denoting which features are enabled for this application
    * @param {boolean} [config.features.captions] A boolean value denoting that this game supports captions
    * @param {boolean} [config.features.sound] A boolean value denoting that this game has some audio in it
@@ -124,66 +401,84 @@ export class Application {
    * @param {boolean} [config.features.fullScreen] A boolean denoting that this game has fullScreen capabilities
    * 
    */
-  constructor({ features, hintPlayer = new HintSequencePlayer() } = {}) {
+  constructor({
+    features,
+    hintPlayer = new HintSequencePlayer(),
+    plugins = [],
+    syncState = false,
+    persistSettings = false,
+    standalonePanel = false,
+    standaloneTimeout = 1000,
+    preloadTimeout = 0,
+    autoPause = false,
+    reportErrors = true,
+    analytics = {},
+    learning = null,
+    playOptions = null,
+    playOptionsTimeout = 1000,
+    container = BellhopSingleton,
+    trustedOrigins = null,
+    inspectMessages = false,
+    handshakeTimeout = 1000,
+    heartbeatInterval = 5000,
+    heartbeatTimeout = 2000
+  } = {}) {
+    // copy the default plugins so setting them up does not affect other applications. They are sorted before
+    // anything else happens, so invalid dependencies throw before any listeners are added
+    this.plugins = sortPlugins(
+      Application._plugins.concat(plugins).map(createPlugin)
+    );
+    this.destroyed = false;
+    this.syncState = syncState;
+    this.preloadTimeout = preloadTimeout;
+    this.autoPause = null;
+    if (autoPause) {
+      this.autoPause = Object.assign(
+        { visibility: true, blur: true },
+        'object' === typeof autoPause ? autoPause : {}
+      );
+    }
+    this.autoPaused = false;
+    this._autoPausing = false;
+    this._blurred = false;
+    this.standalonePanel = null;
+    this.settings = null;
+    this._settingsExclude = [];
+    this._containerListeners = [];
+    this._outbox = [];
+    this._initializedPlugins = [];
+    this._receivingState = {};
+    this.playOptionsSchema = playOptions;
+    this._playOptionSources = { query: {}, container: {} };
+
     this.state = {
       ready: new Property(false),
-      playOptions: new Property({}),
-      [pause]: new Property(undefined),
-      [captionsMuted]: new Property(undefined),
-      [captionsStyles]: new Property(undefined),
-      [soundVolume]: new Property(undefined),
-      [musicVolume]: new Property(undefined),
-      [voVolume]: new Property(undefined),
-      [sfxVolume]: new Property(undefined),
-      [pointerSize]: new Property(undefined),
-      [controlSensitivity]: new Property(undefined),
-      [buttonSize]: new Property(undefined),
-      [removableLayers]: new Property(undefined),
-      [hudPosition]: new Property(undefined),
-      [hitAreaScale]: new Property(undefined),
-      [dragThresholdScale]: new Property(undefined),
-      [health]: new Property(undefined),
-      [objectCount]: new Property(undefined),
-      [completionPercentage]: new Property(undefined),
-      [speedScale]: new Property(undefined),
-      [timersScale]: new Property(undefined),
-      [inputCount]: new Property(undefined),
-      [keyBinding]: new Property(undefined),
-      [colorVision]: new Property(undefined),
-      [fullScreen]: new Property(undefined),
+      playOptions: new Property({}, { equals: 'deep' }),
+      // every pause set by the game or container, even to the same value, is the player's choice and takes over from
+      // a pause made by autoPause, so it is not undone when the game comes back
+      [pause]: new Property(undefined, {
+        transform: value => {
+          if (!this._autoPausing) {
+            this.autoPaused = false;
+          }
+          return value;
+        }
+      })
     };
 
-    this.features = Object.assign(
-      {
-        captions: false,
-        captionsStyles: false,
-        sound: false,
-        vo: false,
-        music: false,
-        sfx: false,
-        soundVolume: false,
-        musicVolume: false,
-        voVolume: false,
-        sfxVolume: false,
-        pointerSize: false,
-        controlSensitivity: false,
-        buttonSize: false,
-        removableLayers: false,
-        hudPosition: false,
-        keyBinding: false,
-        colorVision: false,
-        hitAreaScale: false,
-        dragThresholdScale: false,
-        health: false,
-        objectCount: false,
-        completionPercentage: false,
-        speedScale: false,
-        timersScale: false,
-        inputCount: false,
-        fullScreen: false,
-      },
-      features || {}
-    );
+    const featureDefaults = {};
+    for (let i = 0; i < Application._features.length; i++) {
+      const feature = Application._features[i];
+      featureDefaults[feature.name] = false;
+
+      if (!this.state[feature.stateKey]) {
+        this.state[feature.stateKey] = new Property(undefined, {
+          equals: feature.equals
+        });
+      }
+    }
+
+    this.features = Object.assign(featureDefaults, features || {});
 
     // always enable sound if one of the sound channels is enabled
     if (this.features.vo || this.features.music || this.features.sfx) {
@@ -191,72 +486,245 @@ export class Application {
     }
 
     // create the connection to the container (if possible), and report features and SpringRoll 1 compat data
-    this.container = BellhopSingleton;
-    this.container.connect();
+    this.container = container;
+    this.trustedOrigins = null;
+    if (trustedOrigins) {
+      this.trustedOrigins = new TrustedOrigins(trustedOrigins);
+      this.trustedOrigins.guard(this.container);
+    }
+    // record container traffic before connecting, so the whole conversation is captured
+    this.messageInspector = null;
+    const { panel: inspectorPanel = false, maxEntries, log } =
+      inspectMessages && 'object' === typeof inspectMessages
+        ? inspectMessages
+        : {};
+    if (inspectMessages) {
+      this.messageInspector = new MessageInspector(this.container, {
+        maxEntries,
+        log
+      });
+      this.messageInspector.start();
+    }
+    const targetOrigin = this.trustedOrigins
+      ? this.trustedOrigins.targetOrigin
+      : '*';
+    this.container.connect(undefined, targetOrigin);
+
+    // games are standalone when the container does not connect in time. Games that are not in an iframe and not
+    // connected to a mock container can never connect, so they do not wait
+    this.standalone = !this.container.connected && window.parent === window;
+    this._standaloneTimer = null;
+    let resolveConnected;
+    const connected = new Promise(resolve => (resolveConnected = resolve));
+    this.addContainerListener('connected', () => {
+      clearTimeout(this._standaloneTimer);
+      resolveConnected(true);
+
+      // containers can connect after the game gave up waiting for them
+      this.standalone = false;
+      if (this.standalonePanel) {
+        this.standalonePanel.destroy();
+        this.standalonePanel = null;
+      }
+    });
+    if (this.container.connected || this.standalone) {
+      resolveConnected(!this.standalone);
+    } else {
+      this._standaloneTimer = setTimeout(() => {
+        this.standalone = true;
+        resolveConnected(false);
+      }, standaloneTimeout);
+    }
+
+    // settings wait just as long for the container to connect, so they are all stored in one place
+    if (persistSettings) {
+      const { key, exclude = [] } =
+        'object' === typeof persistSettings ? persistSettings : {};
+      this.settings = new PersistentSettings(key, {
+        timeout: this.standalone ? 0 : standaloneTimeout,
+        container: this.container
+      });
+      this._settingsExclude = exclude;
+    }
+
+    // watch the health of the connection, and tell a container that reconnects everything it has missed
+    this.connectionMonitor = new ConnectionMonitor(this.container, {
+      interval: heartbeatInterval,
+      timeout: heartbeatTimeout,
+      origin: targetOrigin
+    });
+    this.connection = this.connectionMonitor.status;
+    this.connection.subscribe((status, previous) => {
+      if ('connected' === status && 'lost' === previous) {
+        this.resendState();
+      }
+    });
+    if (UserData.container === this.container) {
+      UserData.connection = this.connection;
+    }
+
+    // errors, tracked events and learning statements are only sent to containers that support them, so they are sent
+    // through a connection that waits for the handshake
+    const negotiated = {
+      send: (type, data) => this.sendSupported(type, data)
+    };
+    Object.defineProperty(negotiated, 'connected', {
+      get: () => this.container.connected
+    });
+
+    this.errorReporter = null;
+    if (reportErrors) {
+      this.errorReporter = new ErrorReporter(negotiated);
+      this.errorReporter.start();
+    }
+
+    this.tracker = new Tracker(
+      Object.assign(
+        {
+          sink: new BellhopSink(negotiated),
+          getGameId: () => (this.state.playOptions.value || {}).gameId
+        },
+        analytics
+      )
+    );
+
+    this.learning = null;
+    if (learning) {
+      this.learning = new LearningRecorder(
+        Object.assign(
+          { sink: new BellhopSink(negotiated, 'learningStatements') },
+          learning
+        )
+      );
+    }
+
     this.container.send('features', this.features);
     this.container.send('keepFocus', false);
 
+    // announce the protocol this game speaks. Containers that answer describe the messages they support, and
+    // containers that do not are treated as legacy containers. The handshake is negotiated in the background once the
+    // container connects, so games do not wait for containers that never answer
+    this.containerInfo = null;
+    let receivedHandshake;
+    const handshakeReceived = new Promise(
+      resolve => (receivedHandshake = resolve)
+    );
+    this.addContainerListener('handshake', e => {
+      // containers that reconnect answer the handshake again
+      if (this.containerInfo) {
+        this.negotiate(e.data);
+      } else {
+        receivedHandshake(e.data);
+      }
+    });
+    this.sendHandshake();
+    let resolveHandshake;
+    this.handshake = new Promise(resolve => (resolveHandshake = resolve));
+    let negotiating = false;
+    const startHandshake = () => {
+      if (negotiating) {
+        return;
+      }
+      negotiating = true;
+      withTimeout(handshakeReceived, handshakeTimeout)
+        .then(info => this.negotiate(info), () => this.negotiate(null))
+        .then(() => resolveHandshake(this.containerInfo));
+    };
+    // containers can also connect after the game became standalone
+    this.addContainerListener('connected', startHandshake);
+    connected.then(isConnected => {
+      if (isConnected) {
+        startHandshake();
+      } else if (!negotiating) {
+        resolveHandshake(null);
+      }
+    });
+
     // listen for events from the container and keep the local value in sync
     {
-      const events = [
-        soundVolume,
-        musicVolume,
-        voVolume,
-        sfxVolume,
-        captionsMuted,
-        captionsStyles,
-        pause,
-        pointerSize,
-        controlSensitivity,
-        buttonSize,
-        removableLayers,
-        hudPosition,
-        keyBinding,
-        colorVision,
-        hitAreaScale,
-        dragThresholdScale,
-        health,
-        objectCount,
-        completionPercentage,
-        speedScale,
-        timersScale,
-        inputCount,
-        fullScreen,
-      ];
-      const length = events.length;
-      for (let i = 0; i < length; i++) {
-        const property = this.state[events[i]];
-
-        // Listen for feature changes from the container.
-        this.container.on(
-          events[i],
-          containerEvent => (property.value = containerEvent.data)
-        );
+      const events = { [pause]: { stateKey: pause, schema: booleanSchema } };
+      for (let i = 0; i < Application._features.length; i++) {
+        const feature = Application._features[i];
+        if (feature.containerEvent) {
+          events[feature.containerEvent] = feature;
+        }
+      }
+
+      const names = Object.keys(events);
+      for (let i = 0; i < names.length; i++) {
+        const { stateKey, schema } = events[names[i]];
+
+        // Listen for feature changes from the container, ignoring values that do not match the feature schema.
+        this.addContainerListener(names[i], containerEvent => {
+          const { valid, value, error } = Schema.validate(
+            schema,
+            containerEvent.data
+          );
+
+          if (!valid) {
+            Debugger.log(
+              'warn',
+              `[Springroll] Ignored invalid ${names[i]} value from the container: ${error}`
+            );
+            this.sendSupported('stateError', {
+              name: names[i],
+              value: containerEvent.data,
+              error
+            });
+            return;
+          }
+
+          this.setFromContainer(stateKey, value);
+        });
       }
     }
 
     // listen for legacy mute events from the container and map them to volume properties
     {
       const legacyListeners = [
-        { mute: 'soundMuted', volume: soundVolume },
-        { mute: 'musicMuted', volume: musicVolume },
-        { mute: 'voMuted', volume: voVolume },
-        { mute: 'sfxMuted', volume: sfxVolume }
+        { mute: 'soundMuted', volume: 'soundVolume' },
+        { mute: 'musicMuted', volume: 'musicVolume' },
+        { mute: 'voMuted', volume: 'voVolume' },
+        { mute: 'sfxMuted', volume: 'sfxVolume' }
       ];
 
+      this._legacyMuteListeners = [];
       for (let i = 0; i < legacyListeners.length; i++) {
-        const property = this.state[legacyListeners[i].volume];
-        this.container.on(legacyListeners[i].mute, containerEvent => {
+        const { mute, volume } = legacyListeners[i];
+        const property = this.state[volume];
+        const callback = containerEvent => {
           const previousValue = property._previousValue || 1;
           property._previousValue = property.value;
-          property.value = containerEvent.data ? 0 : previousValue;
+          this.setFromContainer(
+            volume,
+            containerEvent.data ? 0 : previousValue
+          );
+        };
+        this._legacyMuteListeners.push({
+          name: mute,
+          callback: this.addContainerListener(mute, callback)
         });
       }
     }
 
     // maintain focus sync between the container and application
-    window.addEventListener('focus', () => this.container.send('focus', true));
-    window.addEventListener('blur', () => this.container.send('focus', false));
+    this._onFocus = () => {
+      this.container.send('focus', true);
+      this._blurred = false;
+      this.updateAutoPause();
+    };
+    this._onBlur = () => {
+      this.container.send('focus', false);
+      this._blurred = true;
+      this.updateAutoPause();
+    };
+    this._onVisibilityChange = () => this.updateAutoPause();
+    window.addEventListener('focus', this._onFocus);
+    window.addEventListener('blur', this._onBlur);
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+    // start with the defaults, so games always receive every declared playOption
+    this.updatePlayOptions();
 
     // attempt to fetch play options from the query string (passed by the Container)
     const match = /playOptions=[^&$]*/.exec(window.location.search);
@@ -265,7 +733,7 @@ export class Application {
       const rawValue = decodeURIComponent(matchedToken.split('=')[1]);
 
       try {
-        this.state.playOptions.value = JSON.parse(rawValue);
+        this.setPlayOptions('query', JSON.parse(rawValue));
       } catch (e) {
         Debugger.log(
           'warn',
@@ -275,30 +743,75 @@ export class Application {
     }
 
     // Also attempt to fetch over the iframe barrier for old container support
-    this.container.fetch(
-      'playOptions',
-      e => (this.state.playOptions.value = e.data)
+    let receivedPlayOptions;
+    const playOptionsReceived = new Promise(
+      resolve => (receivedPlayOptions = resolve)
     );
+    this.addContainerListener('playOptions', e => {
+      this.setPlayOptions('container', e.data);
+      receivedPlayOptions();
+    });
+    this.container.send('playOptions');
 
     this.setupPlugins()
       .catch(e => {
         Debugger.log('warn', e);
       })
       .then(() => {
+        if (this.destroyed) {
+          return;
+        }
+
         this.validateListeners();
         this.setStateDefaults();
       })
       .catch(e => {
         Debugger.log('warn', e);
       })
+      .then(() => this.restoreSettings())
+      .catch(e => {
+        Debugger.log('warn', e);
+      })
+      // the standalone panel is only shown to games that are standalone, which is decided once the container connects
+      // or the standalone timeout passes. Settings wait for the same decision when they are loaded
+      .then(() => (standalonePanel ? connected : undefined))
       .then(() => {
+        // games with a playOptions schema wait for the container's playOptions, so they are final before ready
+        if (this.playOptionsSchema && !this.standalone) {
+          return withTimeout(playOptionsReceived, playOptionsTimeout);
+        }
+      })
+      .catch(e => {
+        Debugger.log('warn', 'playOptions were not received:', e);
+      })
+      .then(() => {
+        if (this.destroyed) {
+          return;
+        }
+
+        if (this.syncState) {
+          this.addStateSyncListeners();
+        }
+
+        if (this.standalone && standalonePanel) {
+          this.standalonePanel = new StandalonePanel(
+            this.state,
+            this.getStandaloneControls()
+          );
+          this.standalonePanel.mount();
+        }
+
+        if (this.messageInspector && inspectorPanel) {
+          this.messageInspector.mount();
+        }
+
         this.container.send('loaded');
         this.state.ready.value = true;
       });
 
     //register bellhop event for hints.
     this.hints = hintPlayer;
-    this.container.on(playHelp, () => {
+    this.addContainerListener(playHelp, () => {
       if (!this.hints) {
         Debugger.log(
           'warn',
@@ -309,67 +822,784 @@ export class Application {
 
       this.hints.play();
     });
+
+    // send learning statements that were recorded before the container connected
+    if (this.learning) {
+      this.addContainerListener('connected', () => this.learning.flush());
+    }
   }
 
   /**
-   * preloads, initializes and starts plugins.
+   * preloads, initializes and starts plugins. Plugins run in the order they were sorted in by the constructor, after
+   * the plugins they depend on, and plugins whose required dependencies fail to preload are skipped. Plugins that take
+   * longer than their preload timeout fail, and the combined preload progress of all plugins is sent to the container
+   * as loadProgress events.
    * @return {Promise<void>}
    * @memberof Application
    */
   setupPlugins() {
-    const preloads = [];
-
-    for (let i = 0; i < Application._plugins.length; i++) {
-      if (Application._plugins[i].preload) {
-        preloads.push(
-          Application._plugins[i]
-            .preload(this)
-            .catch(function preloadFail(error) {
-              Application._plugins[i].preloadFailed = true;
-              console.warn(
-                Application._plugins[i].name,
-                'Preload Failed:',
-                error
-              );
-            })
-        );
+    const preloads = {};
+    const failed = [];
+
+    // track each plugin's preload progress between 0 and 1, and report the average to the container
+    const progress = {};
+    let lastProgress;
+    const setProgress = (name, value) => {
+      if ('number' !== typeof value || isNaN(value) || 1 === progress[name]) {
+        return;
+      }
+
+      progress[name] = Math.min(Math.max(value, 0), 1);
+
+      const names = Object.keys(progress);
+      let total = 0;
+      for (let i = 0; i < names.length; i++) {
+        total += progress[names[i]];
+      }
+      total /= names.length;
+
+      if (total !== lastProgress) {
+        lastProgress = total;
+        this.sendSupported('loadProgress', total);
       }
+    };
+
+    for (let i = 0; i < this.plugins.length; i++) {
+      progress[this.plugins[i].name] = 0;
+    }
+
+    for (let i = 0; i < this.plugins.length; i++) {
+      const plugin = this.plugins[i];
+      const dependencies = getDependencies(plugin).filter(
+        name => preloads[name]
+      );
+
+      // wait for dependencies to finish preloading before preloading this plugin
+      preloads[plugin.name] = Promise.all(
+        dependencies.map(name => preloads[name])
+      ).then(() => {
+        // plugins that have not started preloading are not preloaded once the application is destroyed
+        if (this.destroyed) {
+          return;
+        }
+
+        const failedDependencies = (plugin.required || []).filter(
+          name => failed.indexOf(name) !== -1
+        );
+
+        if (failedDependencies.length) {
+          failed.push(plugin.name);
+          console.warn(
+            plugin.name,
+            'Preload Skipped, required plugins failed:',
+            failedDependencies.join(', ')
+          );
+          return;
+        }
+
+        if (!plugin.preload) {
+          return;
+        }
+
+        const timeout =
+          undefined !== plugin.preloadTimeout
+            ? plugin.preloadTimeout
+            : this.preloadTimeout;
+
+        return withTimeout(
+          plugin.preload(this, value => setProgress(plugin.name, value)),
+          timeout
+        ).catch(error => {
+          failed.push(plugin.name);
+          console.warn(plugin.name, 'Preload Failed:', error);
+          this.reportPluginError(plugin, error);
+        });
+      }).then(() => setProgress(plugin.name, 1));
     }
 
     // ~wait for all preloads to resolve
-    return Promise.all(preloads).then(() => {
+    return Promise.all(
+      Object.keys(preloads).map(name => preloads[name])
+    ).then(() => {
+      // the application was destroyed while plugins were preloading
+      if (this.destroyed) {
+        return;
+      }
+
       // Remove plugins that fail to load.
-      Application._plugins = Application._plugins.filter(
-        plugin => plugin.preloadFailed !== true
+      this.plugins = this.plugins.filter(
+        plugin => failed.indexOf(plugin.name) === -1
       );
 
-      //init
-      for (let i = 0; i < Application._plugins.length; i++) {
-        if (!Application._plugins[i].init) {
+      //init, recording each plugin first so plugins that throw from init are still destroyed
+      for (let i = 0; i < this.plugins.length; i++) {
+        this._initializedPlugins.push(this.plugins[i]);
+        if (!this.plugins[i].init) {
           continue;
         }
-        Application._plugins[i].init(this);
+        this.runPluginStep(this.plugins[i], 'init');
       }
 
       //start
-      for (let i = 0; i < Application._plugins.length; i++) {
-        if (!Application._plugins[i].start) {
+      for (let i = 0; i < this.plugins.length; i++) {
+        if (!this.plugins[i].start) {
           continue;
         }
-        Application._plugins[i].start(this);
+        this.runPluginStep(this.plugins[i], 'start');
+      }
+    });
+  }
+
+  /**
+   * Calls a plugin lifecycle method, reporting anything it throws with the name of the plugin before rethrowing it.
+   * @param {ApplicationPlugin} plugin
+   * @param {string} step The name of the lifecycle method to call.
+   * @private
+   */
+  runPluginStep(plugin, step) {
+    try {
+      plugin[step](this);
+    } catch (error) {
+      this.reportPluginError(plugin, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sends an error that came from a plugin to the container, if error reporting is enabled.
+   * @param {ApplicationPlugin} plugin
+   * @param {*} error
+   * @private
+   */
+  reportPluginError(plugin, error) {
+    if (this.errorReporter) {
+      this.errorReporter.report(error, { type: 'plugin', plugin: plugin.name });
+    }
+  }
+
+  /**
+   * Records what the container supports, and enables the matching set of messages. Legacy mute events are only
+   * listened for if the container sends them, heartbeats and request ids are only used if it supports them, and
+   * messages that waited for the handshake are sent if the container supports them.
+   * @param {{version: number, capabilities: string[]} | null} info The container's handshake, or null if it did not
+   * answer.
+   * @private
+   */
+  negotiate(info) {
+    if (this.destroyed) {
+      return;
+    }
+
+    if (info && 'object' === typeof info) {
+      this.containerInfo = {
+        version: info.version,
+        capabilities: Array.isArray(info.capabilities) ? info.capabilities : [],
+        legacy: false
+      };
+    } else {
+      this.containerInfo = {
+        version: 1,
+        capabilities: legacyCapabilities.slice(),
+        legacy: true
+      };
+    }
+
+    if (this.containerSupports('heartbeat')) {
+      this.connectionMonitor.start();
+    }
+
+    // containers that echo request ids can answer several UserData requests of the same type at once
+    if (UserData.container === this.container) {
+      UserData.rpc.correlate = this.containerSupports('requestIds');
+    }
+
+    if (!this.containerSupports('legacyMute')) {
+      for (let i = 0; i < this._legacyMuteListeners.length; i++) {
+        const { name, callback } = this._legacyMuteListeners[i];
+        this.container.off(name, callback);
+        this._containerListeners = this._containerListeners.filter(
+          listener => listener.callback !== callback
+        );
+      }
+      this._legacyMuteListeners = [];
+    }
+
+    const outbox = this._outbox;
+    this._outbox = [];
+    for (let i = 0; i < outbox.length; i++) {
+      this.sendSupported(outbox[i].type, outbox[i].data);
+    }
+  }
+
+  /**
+   * Sends a message that legacy containers do not know, if the container supports it. Messages sent before the
+   * handshake has been negotiated wait for it, and only the latest loadProgress waits.
+   * @param {string} type The type of the message, which is also the capability containers list to receive it.
+   * @param {*} data
+   * @private
+   */
+  sendSupported(type, data) {
+    if (!this.containerInfo) {
+      if ('loadProgress' === type) {
+        this._outbox = this._outbox.filter(message => type !== message.type);
+      }
+      this._outbox.push({ type, data });
+      return;
+    }
+
+    if (this.containerSupports(type)) {
+      this.container.send(type, data);
+    }
+  }
+
+  /**
+   * Announces the protocol this game speaks to the container.
+   * @private
+   */
+  sendHandshake() {
+    this.container.send('handshake', {
+      version: Application.protocolVersion,
+      capabilities: Application.capabilities
+    });
+  }
+
+  /**
+   * Sends the features, the handshake and the current value of every synced state property to a container that
+   * reconnected after the connection was lost, along with anything the game recorded in the meantime.
+   * @private
+   */
+  resendState() {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.container.send('features', this.features);
+    this.container.send('keepFocus', false);
+    this.sendHandshake();
+
+    const events = this.getStateSyncEvents();
+    const stateKeys = Object.keys(events);
+    for (let i = 0; i < stateKeys.length; i++) {
+      const value = this.state[stateKeys[i]].value;
+      if (undefined !== value) {
+        this.container.send(events[stateKeys[i]], value);
+      }
+    }
+
+    if (this.state.ready.value) {
+      this.container.send('loaded');
+    }
+
+    this.tracker.flush();
+    if (this.learning) {
+      this.learning.flush();
+    }
+  }
+
+  /**
+   * Whether the container said it supports a capability in the protocol handshake. Always false before the
+   * handshake has finished, and when the game is not in a container.
+   * @param {string} capability
+   * @return {boolean}
+   * @memberof Application
+   */
+  containerSupports(capability) {
+    return (
+      !!this.containerInfo &&
+      -1 !== this.containerInfo.capabilities.indexOf(capability)
+    );
+  }
+
+  /**
+   * Validates the playOptions from one source against the playOptions schema, and updates state.playOptions. Options
+   * that are not in the schema are kept with a warning, and options that do not match their schema are ignored with a
+   * warning.
+   * @param {'query' | 'container'} source Where the playOptions came from.
+   * @param {object} options
+   * @private
+   */
+  setPlayOptions(source, options) {
+    const from = 'query' === source ? 'the query string' : 'the container';
+    if (null === options || 'object' !== typeof options) {
+      Debugger.log('warn', `Ignoring playOptions from ${from}:`, options);
+      options = {};
+    }
+
+    const schema = this.playOptionsSchema;
+    const checked = {};
+    const keys = Object.keys(options);
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      if (!schema) {
+        checked[key] = options[key];
+        continue;
+      }
+
+      if (!schema[key]) {
+        Debugger.log('warn', `Unknown playOption "${key}" from ${from}`);
+        checked[key] = options[key];
+        continue;
+      }
+
+      const result = Schema.validate(schema[key], options[key]);
+      if (!result.valid) {
+        Debugger.log(
+          'warn',
+          `Invalid playOption "${key}" from ${from}: ${result.error}`
+        );
+        continue;
+      }
+      checked[key] = result.value;
+    }
+
+    this._playOptionSources[source] = checked;
+    this.updatePlayOptions();
+  }
+
+  /**
+   * Merges the playOptions defaults, query string and container playOptions into state.playOptions. Options from
+   * the container take precedence over the query string, which takes precedence over the defaults, regardless of
+   * which arrives first.
+   * @private
+   */
+  updatePlayOptions() {
+    const defaults = {};
+    const schema = this.playOptionsSchema || {};
+    const keys = Object.keys(schema);
+    for (let i = 0; i < keys.length; i++) {
+      if (undefined !== schema[keys[i]].default) {
+        defaults[keys[i]] = schema[keys[i]].default;
+      }
+    }
+
+    this.state.playOptions.value = Object.assign(
+      defaults,
+      this._playOptionSources.query,
+      this._playOptionSources.container
+    );
+  }
+
+  /**
+   * Listens for an event from the container, and keeps track of the listener so it can be removed on destroy. Built in
+   * messages that do not match their schema are ignored with a warning.
+   * @param {string} name The name of the container event.
+   * @param {function} callback The function to call when the container sends the event.
+   * @return {function} The listener added to the container.
+   * @private
+   */
+  addContainerListener(name, callback) {
+    let listener = callback;
+    if (messageSchemas[name]) {
+      listener = containerEvent => {
+        const { valid, value, error } = Schema.validate(
+          messageSchemas[name],
+          containerEvent.data
+        );
+
+        if (!valid) {
+          Debugger.log(
+            'warn',
+            `[Springroll] Ignored invalid ${name} message from the container: ${error}`
+          );
+          return;
+        }
+
+        callback({ type: containerEvent.type, data: value });
+      };
+    }
+
+    this.container.on(name, listener);
+    this._containerListeners.push({ name, callback: listener });
+    return listener;
+  }
+
+  /**
+   * Restores saved feature state, and saves it again whenever it changes. Restored state is sent to the container when
+   * syncing state, because it is restored before changes are synced. Does nothing unless settings persistence was
+   * enabled with the persistSettings config option.
+   * @return {Promise<void>}
+   * @memberof Application
+   */
+  restoreSettings() {
+    if (!this.settings || this.destroyed) {
+      return Promise.resolve();
+    }
+
+    const schemas = {};
+    for (let i = 0; i < Application._features.length; i++) {
+      const { stateKey, persist, schema } = Application._features[i];
+      if (
+        persist &&
+        !(stateKey in schemas) &&
+        -1 === this._settingsExclude.indexOf(stateKey)
+      ) {
+        schemas[stateKey] = schema;
+      }
+    }
+    const stateKeys = Object.keys(schemas);
+
+    return this.settings
+      .load()
+      .catch(e => {
+        Debugger.log('warn', '[Springroll] Failed to load settings:', e);
+        return {};
+      })
+      .then(saved => {
+        const restored = [];
+
+        // notify games once every saved setting has been restored
+        Property.batch(() => {
+          for (let i = 0; i < stateKeys.length; i++) {
+            if (!(stateKeys[i] in saved)) {
+              continue;
+            }
+
+            const { valid, value, error } = Schema.validate(
+              schemas[stateKeys[i]],
+              saved[stateKeys[i]]
+            );
+
+            if (!valid) {
+              Debugger.log(
+                'warn',
+                `[Springroll] Ignored invalid saved ${stateKeys[i]} setting: ${error}`
+              );
+              continue;
+            }
+
+            this.state[stateKeys[i]].value = value;
+            restored.push(stateKeys[i]);
+          }
+        });
+
+        if (this.syncState) {
+          const events = this.getStateSyncEvents();
+          for (let i = 0; i < restored.length; i++) {
+            if (events[restored[i]]) {
+              this.container.send(
+                events[restored[i]],
+                this.state[restored[i]].value
+              );
+            }
+          }
+        }
+
+        const save = () => {
+          const settings = {};
+          for (let i = 0; i < stateKeys.length; i++) {
+            settings[stateKeys[i]] = this.state[stateKeys[i]].value;
+          }
+
+          this.settings.save(settings).catch(e => {
+            Debugger.log('warn', '[Springroll] Failed to save settings:', e);
+          });
+        };
+
+        for (let i = 0; i < stateKeys.length; i++) {
+          this.state[stateKeys[i]].subscribe(save);
+        }
+      });
+  }
+
+  /**
+   * Returns the state properties the standalone panel shows controls for: pause, and the state of every enabled
+   * feature.
+   * @return {StandaloneControl[]}
+   * @private
+   */
+  getStandaloneControls() {
+    const controls = [{ stateKey: pause, schema: booleanSchema }];
+    for (let i = 0; i < Application._features.length; i++) {
+      const { name, stateKey, schema } = Application._features[i];
+      if (
+        this.features[name] &&
+        !controls.find(control => control.stateKey === stateKey)
+      ) {
+        controls.push({ stateKey, schema });
+      }
+    }
+    return controls;
+  }
+
+  /**
+   * Pauses the game when the page is hidden or loses focus, and resumes it when it comes back. Only pauses that were
+   * made here are resumed, so a game the player paused stays paused, even if the player paused it while it was
+   * already paused here. Does nothing unless autoPause is enabled.
+   * @memberof Application
+   */
+  updateAutoPause() {
+    if (!this.autoPause) {
+      return;
+    }
+
+    const shouldPause =
+      (this.autoPause.visibility && document.hidden) ||
+      (this.autoPause.blur && this._blurred);
+
+    if (shouldPause && !this.autoPaused && true !== this.state.pause.value) {
+      this.autoPaused = true;
+      this.setAutoPause(true);
+    } else if (!shouldPause && this.autoPaused) {
+      this.autoPaused = false;
+      if (true === this.state.pause.value) {
+        this.setAutoPause(false);
+      }
+    }
+  }
+
+  /**
+   * Pauses or resumes the game without the change counting as the player's choice.
+   * @param {boolean} paused
+   * @private
+   */
+  setAutoPause(paused) {
+    this._autoPausing = true;
+    try {
+      this.state.pause.value = paused;
+    } finally {
+      this._autoPausing = false;
+    }
+  }
+
+  /**
+   * Sets a state property to a value received from the container. Values set this way are never sent back to the
+   * container when syncing state, which would otherwise echo every value back and forth.
+   * @param {string} stateKey The name of the state property.
+   * @param {*} value The new value of the state property.
+   * @private
+   */
+  setFromContainer(stateKey, value) {
+    this._receivingState[stateKey] = true;
+    try {
+      this.state[stateKey].value = value;
+    } finally {
+      this._receivingState[stateKey] = false;
+    }
+  }
+
+  /**
+   * Returns the container event used to sync each state property the container can change.
+   * @return {Object.<string, string>} The event name for each state key.
+   * @private
+   */
+  getStateSyncEvents() {
+    const events = { [pause]: pause };
+    for (let i = 0; i < Application._features.length; i++) {
+      const { stateKey, containerEvent } = Application._features[i];
+      if (containerEvent && !events[stateKey]) {
+        events[stateKey] = containerEvent;
       }
+    }
+    return events;
+  }
+
+  /**
+   * Subscribes to every state property the container can change, and sends changes made by the game back to the
+   * container using the same event the container uses to change it.
+   * @private
+   */
+  addStateSyncListeners() {
+    const events = this.getStateSyncEvents();
+    const stateKeys = Object.keys(events);
+    for (let i = 0; i < stateKeys.length; i++) {
+      const stateKey = stateKeys[i];
+      this.state[stateKey].subscribe(value => {
+        if (this._receivingState[stateKey]) {
+          return;
+        }
+        this.container.send(events[stateKey], value);
+      });
+    }
+  }
+
+  /**
+   * Removes every listener this application added to the container and window, destroys the plugins that were
+   * initialized in reverse order and resets the application state. The application can not be used after it has been destroyed.
+   * @memberof Application
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+
+    if (this.errorReporter) {
+      this.errorReporter.stop();
+    }
+    this.tracker.destroy();
+    if (this.learning) {
+      this.learning.flush();
+    }
+
+    clearTimeout(this._standaloneTimer);
+    this.connectionMonitor.destroy();
+    if (UserData.connection === this.connection) {
+      UserData.connection = null;
+    }
+
+    if (this.standalonePanel) {
+      this.standalonePanel.destroy();
+      this.standalonePanel = null;
+    }
+
+    if (this.trustedOrigins) {
+      this.trustedOrigins.unguard();
+    }
+
+    if (this.messageInspector) {
+      this.messageInspector.destroy();
+    }
+
+    for (let i = 0; i < this._containerListeners.length; i++) {
+      const { name, callback } = this._containerListeners[i];
+      this.container.off(name, callback);
+    }
+    this._containerListeners = [];
+
+    window.removeEventListener('focus', this._onFocus);
+    window.removeEventListener('blur', this._onBlur);
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+
+    // plugins that were never initialized have nothing to clean up
+    const plugins = this._initializedPlugins;
+    this._initializedPlugins = [];
+    for (let i = plugins.length - 1; i >= 0; i--) {
+      if (!plugins[i].destroy) {
+        continue;
+      }
+      plugins[i].destroy(this);
+    }
+
+    // remove all state listeners before resetting values so games are not notified of the reset
+    const keys = Object.keys(this.state);
+    for (let i = 0; i < keys.length; i++) {
+      this.state[keys[i]].listeners = [];
+      this.state[keys[i]].value = undefined;
+    }
+    this.state.ready.value = false;
+    this.state.playOptions.value = {};
+  }
+
+  /**
+   * Adds a game property to the application state, so it is included in snapshots. Derived properties are read-only,
+   * so they can not be restored and are rejected.
+   * @param {string} name The name of the state property.
+   * @param {Property} property
+   * @return {Property} The property.
+   * @throws Error if the application state already has a property with the name, or the property is derived
+   * @memberof Application
+   */
+  registerState(name, property) {
+    if (this.state[name]) {
+      throw new Error(`Application state "${name}" already exists.`);
+    }
+
+    if (property instanceof DerivedProperty) {
+      throw new Error(
+        `Application state "${name}" can not be a read-only derived property.`
+      );
+    }
+
+    this.state[name] = property;
+    return property;
+  }
+
+  /**
+   * Captures the value of every state property except ready and playOptions, including properties added with
+   * registerState, as a plain JSON object.
+   * @return {object}
+   * @memberof Application
+   */
+  snapshot() {
+    const snapshot = {};
+    const keys = Object.keys(this.state);
+    for (let i = 0; i < keys.length; i++) {
+      if (-1 !== snapshotExclude.indexOf(keys[i])) {
+        continue;
+      }
+
+      const value = this.state[keys[i]].value;
+      if (undefined !== value) {
+        snapshot[keys[i]] = JSON.parse(JSON.stringify(value));
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Applies a snapshot to the application state. Every value is validated before any are applied, so either the
+   * whole snapshot is applied or none of it is, and listeners are notified once it has been applied. Properties that
+   * are missing from the snapshot are left unchanged, and properties that the application state does not have are
+   * ignored with a warning.
+   * @param {object} snapshot A snapshot created by snapshot().
+   * @throws Error if a value in the snapshot is invalid
+   * @memberof Application
+   */
+  restore(snapshot) {
+    const schemas = { [pause]: booleanSchema };
+    for (let i = 0; i < Application._features.length; i++) {
+      const { stateKey, schema } = Application._features[i];
+      if (!(stateKey in schemas)) {
+        schemas[stateKey] = schema;
+      }
+    }
+
+    const values = {};
+    const keys = Object.keys(snapshot || {});
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const property = this.state[key];
+      if (!property || -1 !== snapshotExclude.indexOf(key)) {
+        Debugger.log('warn', `[Springroll] Ignored snapshot state "${key}"`);
+        continue;
+      }
+
+      const { valid, value, error } = Schema.validate(
+        schemas[key],
+        snapshot[key]
+      );
+      if (!valid) {
+        throw new Error(`Invalid snapshot state "${key}": ${error}`);
+      }
+
+      const stored = property.transform
+        ? property.transform(value, property.value)
+        : value;
+      if (property.validator && !property.validator(stored)) {
+        throw new Error(`Invalid snapshot state "${key}": rejected by validator`);
+      }
+
+      values[key] = value;
+    }
+
+    Property.batch(() => {
+      Object.keys(values).forEach(key => (this.state[key].value = values[key]));
     });
   }
-  //test
+
+  /**
+   * Tracks a gameplay event. Events are sent in batches to the analytics sink, which is the container by default, with
+   * a timestamp, the session id and the game id from the container's playOptions.
+   * @param {string} eventName The name of the event.
+   * @param {object} [data={}] Information about the event.
+   * @return {TrackedEvent} The event that was tracked.
+   * @memberof Application
+   */
+  track(eventName, data) {
+    return this.tracker.track(eventName, data);
+  }
+
   /**
-   * returns instance of a plugin.
+   * returns instance of a plugin used by this application.
    * @param  {string} name
    * @return {SpringRoll.ApplicationPlugin | undefined}
    * @memberof Application
    * @instance
    */
   getPlugin(name) {
-    return Application.getPlugin(name);
+    return this.plugins.find(function(plugin) {
+      return plugin.name === name;
+    });
   }
 
   /**
@@ -379,37 +1609,16 @@ export class Application {
   validateListeners() {
     const missingListeners = [];
 
-    const featureToStateMap = {
-      captions: captionsMuted,
-      sound: soundVolume,
-      music: musicVolume,
-      vo: voVolume,
-      sfx: sfxVolume,
-      pointerSize: pointerSize,
-      controlSensitivity: controlSensitivity,
-      buttonSize: buttonSize,
-      removableLayers: removableLayers,
-      hudPosition: hudPosition,
-      hitAreaScale: hitAreaScale,
-      dragThresholdScale: dragThresholdScale,
-      health: health,
-      objectCount: objectCount,
-      completionPercentage: completionPercentage,
-      speedScale: speedScale,
-      timersScale: timersScale,
-      inputCount: inputCount,
-      keyBinding: keyBinding,
-      colorVision: colorVision,
-      fullScreen: fullScreen,
-    };
-
-    const keys = Object.keys(featureToStateMap);
+    for (let i = 0; i < Application._features.length; i++) {
+      const { name, stateKey, requiresListener } = Application._features[i];
 
-    for (let i = 0; i < keys.length; i++) {
-      const stateName = featureToStateMap[keys[i]];
-
-      if (this.features[keys[i]] && !this.state[stateName].hasListeners) {
-        missingListeners.push(stateName);
+      if (
+        requiresListener &&
+        this.features[name] &&
+        !this.state[stateKey].hasListeners &&
+        missingListeners.indexOf(stateKey) === -1
+      ) {
+        missingListeners.push(stateKey);
       }
     }
 
@@ -430,31 +1639,127 @@ export class Application {
    * Sets default values of application state properties.
    */
   setStateDefaults() {
+    const stateDefaults = { [pause]: false };
+    for (let i = 0; i < Application._features.length; i++) {
+      const feature = Application._features[i];
+      if (!(feature.stateKey in stateDefaults)) {
+        stateDefaults[feature.stateKey] = feature.default;
+      }
+    }
+
     Object.keys(stateDefaults).forEach(key => this.state[key].value = stateDefaults[key]);
   }
 }
 
 /**
- * The list of plugins that are currently registered to run on Applications.
+ * The version of the SpringRoll container protocol the Application speaks, sent to the container in the handshake.
+ * @static
+ */
+Application.protocolVersion = 2;
+
+/**
+ * The messages the Application supports, sent to the container in the handshake.
+ * @static
+ */
+Application.capabilities = [
+  'features',
+  'state',
+  'stateSync',
+  'stateError',
+  'playOptions',
+  'userData',
+  'indexedDB',
+  'loadProgress',
+  'error',
+  'trackEvents',
+  'learningStatements',
+  'keepFocus',
+  'legacyMute',
+  'heartbeat',
+  'requestIds'
+];
+
+/**
+ * The default list of plugins and plugin classes, copied into every Application when it is created.
  * @static
  */
 Application._plugins = [];
 
 /**
- * Registers a plugin to be used by applications, sorting it by priority order.
- * @param {SpringRoll.ApplicationPlugin} plugin The plugin to register.
+ * Registers a plugin to be used by every application created afterwards. A plugin instance is shared by every
+ * application, so its preload, init, start and destroy are called once for each of them. A plugin class is
+ * instantiated by each application instead, giving every application its own plugin.
+ * @param {SpringRoll.ApplicationPlugin | function(new:SpringRoll.ApplicationPlugin)} plugin The plugin or plugin class
+ * to register.
  */
 Application.uses = function(plugin) {
   Application._plugins.push(plugin);
 };
 
 /**
- * Finds a plugin by name.
+ * Finds a default plugin instance by name. Plugin classes are not instantiated until an application is created, so
+ * use the application's getPlugin to find those.
  * @param {string} name The name of the plugin.
  * @returns {SpringRoll.ApplicationPlugin | undefined}
  */
 Application.getPlugin = function(name) {
   return Application._plugins.find(function(plugin) {
-    return plugin.name === name;
+    return 'function' !== typeof plugin && plugin.name === name;
   });
 };
+
+/**
+ * The list of features that are currently registered for Applications.
+ * @static
+ */
+Application._features = [];
+
+/**
+ * Registers a feature, along with the state property it controls and the container event that changes it. Features
+ * must be registered before creating the applications that use them, and can not control a state property the
+ * application or another feature already controls.
+ * @param {object} feature The feature to register.
+ * @param {string} feature.name The name of the feature, as it is passed in the features config and sent to the container.
+ * @param {string} [feature.stateKey=feature.name] The name of the application state property the feature controls.
+ * @param {*} [feature.default] The default value of the state property.
+ * @param {string | false} [feature.containerEvent=feature.stateKey] The container event that changes the state property, or false if the container never changes it.
+ * @param {boolean} [feature.requiresListener=true] Whether the state property requires a listener when the feature is enabled.
+ * @param {SchemaDescriptor} [feature.schema] The schema values sent by the container are validated and coerced with. Values that do not match are ignored.
+ * @param {boolean} [feature.persist=true] Whether the state property is saved and restored when the application persists settings.
+ * @param {'strict' | 'shallow' | 'deep' | function(*, *): boolean} [feature.equals='strict'] How the state property decides whether its value changed.
+ * @throws Error if the feature has no name, a feature with the same name is already registered, or its state key is
+ * reserved or already used by another feature.
+ */
+Application.registerFeature = function(options = {}) {
+  const feature = createFeature(options);
+  const { name, stateKey } = feature;
+  if (name === undefined) {
+    throw new Error('Application feature not provided a name field');
+  }
+
+  if (Application._features.find(registered => registered.name === name)) {
+    throw new Error(`Application feature "${name}" is already registered.`);
+  }
+
+  if (-1 !== reservedStateKeys.indexOf(stateKey)) {
+    throw new Error(
+      `Application feature "${name}" can not use the reserved state key "${stateKey}".`
+    );
+  }
+
+  const owner = Application._features.find(
+    registered => registered.stateKey === stateKey
+  );
+  if (owner) {
+    throw new Error(
+      `Application feature "${name}" can not use the state key "${stateKey}" of the "${owner.name}" feature.`
+    );
+  }
+
+  Application._features.push(feature);
+};
+
+// built in features share state keys, e.g. sound and soundVolume both control soundVolume
+builtInFeatures.forEach(feature =>
+  Application._features.push(createFeature(feature))
+);
@@ -1,4 +1,14 @@
-import { Application, ApplicationPlugin } from './index';
+import {
+  Application,
+  ApplicationPlugin,
+  BellhopSingleton,
+  LogSink,
+  MockContainer
+} from './index';
+import { Property } from './state/Property';
+import { UserData } from './state/UserData';
+import { Debugger } from './debug/Debugger';
+import { Bellhop } from 'bellhop-iframe';
 import Sinon from 'sinon';
 
 /** */
@@ -64,6 +74,28 @@ class EmptyPlugin {
   }
 }
 
+/** */
+class OrderPlugin extends ApplicationPlugin {
+  /** */
+  constructor(name, order, options = {}) {
+    super(Object.assign({ name }, options));
+    this.order = order;
+  }
+
+  /** */
+  preload() {
+    if (this.failPreload) {
+      return Promise.reject('It was rigged from the start');
+    }
+    return Promise.resolve();
+  }
+
+  /** */
+  init() {
+    this.order.push(this.name);
+  }
+}
+
 describe('Application', () => {
   beforeEach(() => {
     // remove any old plugins
@@ -171,11 +203,62 @@ describe('Application', () => {
       const app = new Application();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
+        expect(app.plugins.length).to.equal(0);
+        expect(Application._plugins.length).to.equal(1);
+        done();
+      });
+    });
+
+    it('should use plugins passed to the constructor', done => {
+      const plugin = new SuccessPlugin();
+
+      const app = new Application({ plugins: [plugin] });
+      app.state.ready.subscribe(function(isReady) {
+        expect(isReady).to.be.true;
+        expect(plugin.initCalled).to.be.true;
+        expect(app.plugins).to.deep.equal([plugin]);
         expect(Application._plugins.length).to.equal(0);
         done();
       });
     });
 
+    it('should create a plugin for each application from a plugin class', done => {
+      Application.uses(SuccessPlugin);
+
+      const first = new Application();
+      const second = new Application({ plugins: [EmptyPlugin] });
+      second.state.ready.subscribe(() => {
+        const plugin = second.getPlugin('success plugin');
+        expect(plugin).to.be.an.instanceof(SuccessPlugin);
+        expect(plugin.initCalled).to.be.true;
+        expect(first.getPlugin('success plugin')).to.be.an.instanceof(
+          SuccessPlugin
+        );
+        expect(first.getPlugin('success plugin')).to.not.equal(plugin);
+        expect(second.plugins[1]).to.be.an.instanceof(EmptyPlugin);
+        expect(Application.getPlugin('success plugin')).to.be.undefined;
+        done();
+      });
+    });
+
+    it('should not share plugin failures between applications', done => {
+      const order = [];
+      const failing = new OrderPlugin('a', order);
+      failing.failPreload = true;
+
+      const first = new Application({ plugins: [failing] });
+      first.state.ready.subscribe(() => {
+        const second = new Application({
+          plugins: [new OrderPlugin('a', order)]
+        });
+        second.state.ready.subscribe(() => {
+          expect(first.plugins.length).to.equal(0);
+          expect(order).to.deep.equal(['a']);
+          done();
+        });
+      });
+    });
+
     it('should continue preloading plugins if a plugin has no preload function', done => {
       const emptyPlugin = new EmptyPlugin();
       const successPlugin = new SuccessPlugin();
@@ -186,7 +269,7 @@ describe('Application', () => {
       const app = new Application();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(2);
+        expect(app.plugins.length).to.equal(2);
         expect(!emptyPlugin.preloadCalled).to.be.true;
         expect(successPlugin.preloadCalled).to.be.true;
         done();
@@ -237,7 +320,7 @@ describe('Application', () => {
       const app = new Application();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(2);
+        expect(app.plugins.length).to.equal(2);
         expect(!emptyPlugin.initCalled).to.be.true;
         expect(successPlugin.initCalled).to.be.true;
         done();
@@ -254,7 +337,7 @@ describe('Application', () => {
       const app = new Application();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(2);
+        expect(app.plugins.length).to.equal(2);
         expect(!emptyPlugin.startCalled).to.be.true;
         expect(successPlugin.startCalled).to.be.true;
         done();
@@ -262,6 +345,152 @@ describe('Application', () => {
     });
   });
 
+  describe('plugin dependencies', () => {
+    it('should init plugins after the plugins they require', done => {
+      const order = [];
+      Application.uses(new OrderPlugin('b', order, { required: ['a'] }));
+      Application.uses(new OrderPlugin('a', order));
+
+      const app = new Application();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['a', 'b']);
+        done();
+      });
+    });
+
+    it('should init plugins after optional plugins that are registered', done => {
+      const order = [];
+      Application.uses(
+        new OrderPlugin('c', order, { optional: ['a', 'missing'] })
+      );
+      Application.uses(new OrderPlugin('b', order, { required: ['a'] }));
+      Application.uses(new OrderPlugin('a', order));
+
+      const app = new Application();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['a', 'c', 'b']);
+        done();
+      });
+    });
+
+    it('should skip plugins whose required plugin fails to preload', done => {
+      const order = [];
+      const failing = new OrderPlugin('a', order);
+      failing.failPreload = true;
+      Application.uses(failing);
+      Application.uses(new OrderPlugin('b', order, { required: ['a'] }));
+      Application.uses(new OrderPlugin('c', order, { required: ['b'] }));
+      Application.uses(new OrderPlugin('d', order, { optional: ['a'] }));
+
+      const app = new Application();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['d']);
+        done();
+      });
+    });
+
+    it('should throw if a required plugin is missing', () => {
+      Application.uses(new OrderPlugin('b', [], { required: ['a'] }));
+
+      expect(() => new Application()).to.throw(
+        'Application plugin "b" is missing required plugin "a".'
+      );
+    });
+
+    it('should throw before adding any listeners', () => {
+      const container = new MockContainer();
+      const send = container.send;
+      Sinon.spy(window, 'addEventListener');
+
+      try {
+        expect(
+          () =>
+            new Application({
+              container,
+              inspectMessages: true,
+              plugins: [new OrderPlugin('b', [], { required: ['a'] })]
+            })
+        ).to.throw();
+        expect(window.addEventListener.called).to.be.false;
+        expect(container.connected).to.be.false;
+        expect(container.send).to.equal(send);
+      } finally {
+        window.addEventListener.restore();
+        container.destroy();
+      }
+    });
+
+    it('should throw if plugin dependencies are circular', () => {
+      Application.uses(new OrderPlugin('a', [], { required: ['c'] }));
+      Application.uses(new OrderPlugin('b', [], { required: ['a'] }));
+      Application.uses(new OrderPlugin('c', [], { optional: ['b'] }));
+
+      expect(() => new Application()).to.throw(
+        'Application plugins have a circular dependency: a -> c -> b -> a.'
+      );
+    });
+  });
+
+  describe('plugin preload', () => {
+    /** */
+    class HungPlugin extends ApplicationPlugin {
+      /** */
+      constructor(options) {
+        super(Object.assign({ name: 'hung plugin' }, options));
+      }
+
+      /** */
+      preload(application, progress) {
+        progress(0.5);
+        return new Promise(() => {});
+      }
+
+      /** */
+      init() {
+        this.initCalled = true;
+      }
+    }
+
+    it('should fail plugins that preload longer than the timeout', done => {
+      const plugin = new HungPlugin();
+      const app = new Application({ plugins: [plugin], preloadTimeout: 10 });
+      app.state.ready.subscribe(() => {
+        expect(app.plugins.length).to.equal(0);
+        expect(plugin.initCalled).to.be.undefined;
+        app.destroy();
+        done();
+      });
+    });
+
+    it('should prefer the plugin preload timeout', done => {
+      const plugin = new HungPlugin({ preloadTimeout: 10 });
+      const app = new Application({ plugins: [plugin] });
+      app.state.ready.subscribe(() => {
+        expect(app.plugins.length).to.equal(0);
+        app.destroy();
+        done();
+      });
+    });
+
+    it('should send the combined preload progress to the container', done => {
+      const container = new MockContainer();
+      const app = new Application({
+        container,
+        plugins: [new HungPlugin({ preloadTimeout: 10 }), new SuccessPlugin()]
+      });
+      app.state.ready.subscribe(() => {
+        const progress = container
+          .messages('loadProgress')
+          .map(message => message.data);
+
+        expect(progress).to.deep.equal([0.25, 0.75, 1]);
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+  });
+
   describe('getPlugin', () => {
     beforeEach(() => {
       // remove any old plugins
@@ -276,7 +505,7 @@ describe('Application', () => {
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
 
-        const found = Application.getPlugin('success plugin');
+        const found = app.getPlugin('success plugin');
         expect(found).to.be.instanceOf(SuccessPlugin);
         done();
       });
@@ -290,12 +519,24 @@ describe('Application', () => {
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
 
-        const found = Application.getPlugin('not a plugin name');
+        const found = app.getPlugin('not a plugin name');
         expect(found).to.be.undefined;
         done();
       });
     });
 
+    it('should return plugins passed to the constructor', done => {
+      const plugin = new SuccessPlugin();
+
+      const app = new Application({ plugins: [plugin] });
+      app.state.ready.subscribe(function(isReady) {
+        expect(isReady).to.be.true;
+        expect(app.getPlugin('success plugin')).to.equal(plugin);
+        expect(Application.getPlugin('success plugin')).to.be.undefined;
+        done();
+      });
+    });
+
     it('should not return plugins that fail to preload', done => {
       const plugin = new FailPlugin();
       Application.uses(plugin);
@@ -304,13 +545,1111 @@ describe('Application', () => {
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
 
-        const found = Application.getPlugin('failed plugin');
+        const found = app.getPlugin('failed plugin');
         expect(found).to.be.undefined;
         done();
       });
     });
   });
 
+  describe('container state', () => {
+    it('should coerce values sent by the container', () => {
+      const app = new Application();
+      BellhopSingleton.trigger({ type: 'hitAreaScale', data: '0.7' });
+      expect(app.state.hitAreaScale.value).to.equal(0.7);
+      app.destroy();
+    });
+
+    it('should ignore and report invalid values sent by the container', () => {
+      const container = new MockContainer();
+      const app = new Application({ container });
+      app.state.hitAreaScale.value = 0.5;
+      app.state.colorVision.value = 'none';
+
+      container.push('hitAreaScale', 5);
+      container.push('colorVision', 'Sepia');
+
+      expect(app.state.hitAreaScale.value).to.equal(0.5);
+      expect(app.state.colorVision.value).to.equal('none');
+      return app.handshake.then(() => {
+        const errors = container
+          .messages('stateError')
+          .map(message => message.data);
+        app.destroy();
+        container.destroy();
+
+        expect(errors).to.have.lengthOf(2);
+        expect(errors[0]).to.include({ name: 'hitAreaScale', value: 5 });
+        expect(errors[1].name).to.equal('colorVision');
+      });
+    });
+
+    it('should accept the key bindings and color filters the container sends', () => {
+      const app = new Application();
+      const keyBinding = [{ actionName: 'Jump', currentKey: 'w' }];
+
+      BellhopSingleton.trigger({ type: 'keyBinding', data: keyBinding });
+      BellhopSingleton.trigger({ type: 'colorVision', data: 'protanomaly' });
+      expect(app.state.keyBinding.value).to.deep.equal(keyBinding);
+      expect(app.state.colorVision.value).to.equal('protanomaly');
+
+      BellhopSingleton.trigger({ type: 'colorVision', data: 'Achromatopsia' });
+      expect(app.state.colorVision.value).to.equal('Achromatopsia');
+      app.destroy();
+    });
+
+    it('should validate custom features with their schema', () => {
+      Application.registerFeature({
+        name: 'textSpeed',
+        schema: { type: 'number', min: 0, max: 2 }
+      });
+
+      const app = new Application();
+      BellhopSingleton.trigger({ type: 'textSpeed', data: '1.5' });
+      expect(app.state.textSpeed.value).to.equal(1.5);
+      BellhopSingleton.trigger({ type: 'textSpeed', data: 3 });
+      expect(app.state.textSpeed.value).to.equal(1.5);
+
+      app.destroy();
+      Application._features = Application._features.filter(
+        feature => feature.name !== 'textSpeed'
+      );
+    });
+  });
+
+  describe('object state', () => {
+    it('should not notify when the container sends identical objects', () => {
+      const app = new Application({ features: { captionsStyles: true } });
+      const callback = Sinon.fake();
+      app.state.captionsStyles.subscribe(callback);
+
+      const styles = {
+        color: '#FFFFFF',
+        edge: 'none',
+        font: 'arial',
+        background: '#000000',
+        size: 'lg',
+        align: 'top'
+      };
+      BellhopSingleton.trigger('captionsStyles', Object.assign({}, styles));
+      BellhopSingleton.trigger('captionsStyles', Object.assign({}, styles));
+
+      expect(callback.callCount).to.equal(1);
+      app.destroy();
+    });
+  });
+
+  describe('syncState', () => {
+    it('should send state changes made by the game to the container', done => {
+      const app = new Application({ syncState: true });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        const send = Sinon.stub(app.container, 'send');
+        app.state.musicVolume.value = 0.3;
+        app.state.pause.value = true;
+        send.restore();
+        app.destroy();
+
+        expect(send.calledWith('musicVolume', 0.3)).to.be.true;
+        expect(send.calledWith('pause', true)).to.be.true;
+        done();
+      });
+    });
+
+    it('should not send values received from the container back', done => {
+      const app = new Application({ syncState: true });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        const send = Sinon.stub(app.container, 'send');
+        BellhopSingleton.trigger({ type: 'musicVolume', data: 0.6 });
+        BellhopSingleton.trigger({ type: 'musicMuted', data: true });
+        send.restore();
+
+        expect(app.state.musicVolume.value).to.equal(0);
+        expect(send.calledWith('musicVolume')).to.be.false;
+        app.destroy();
+        done();
+      });
+    });
+
+    it('should not send state changes unless enabled', done => {
+      const app = new Application();
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        const send = Sinon.stub(app.container, 'send');
+        app.state.musicVolume.value = 0.3;
+        send.restore();
+        app.destroy();
+
+        expect(send.calledWith('musicVolume')).to.be.false;
+        done();
+      });
+    });
+  });
+
+  describe('persistSettings', () => {
+    let app;
+
+    afterEach(() => {
+      app.destroy();
+      localStorage.removeItem('springrollSettings');
+    });
+
+    it('should restore saved settings before the app is ready', done => {
+      localStorage.setItem(
+        'springrollSettings',
+        JSON.stringify({ musicVolume: 0.2, colorVision: 'Sepia', pause: true })
+      );
+
+      app = new Application({ persistSettings: true });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.state.musicVolume.value).to.equal(0.2);
+        expect(app.state.colorVision.value).to.equal('none');
+        expect(app.state.pause.value).to.equal(false);
+        done();
+      });
+    });
+
+    it('should save settings when they change', done => {
+      app = new Application({ persistSettings: { key: 'custom' } });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        app.state.voVolume.value = 0.4;
+
+        setTimeout(() => {
+          const saved = JSON.parse(localStorage.getItem('custom'));
+          localStorage.removeItem('custom');
+          app.destroy();
+
+          expect(saved.voVolume).to.equal(0.4);
+          expect(saved.musicVolume).to.equal(1);
+          expect(saved).to.not.have.property('fullScreen');
+          expect(saved).to.not.have.property('pause');
+          done();
+        }, 0);
+      });
+    });
+
+    it('should not restore excluded settings', done => {
+      localStorage.setItem(
+        'springrollSettings',
+        JSON.stringify({ musicVolume: 0.2, sfxVolume: 0.3 })
+      );
+
+      app = new Application({
+        persistSettings: { exclude: ['musicVolume'] }
+      });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.state.musicVolume.value).to.equal(1);
+        expect(app.state.sfxVolume.value).to.equal(0.3);
+        done();
+      });
+    });
+
+    it('should store settings in the container of the app and send restored settings to it', done => {
+      const container = new MockContainer({
+        userData: { springrollSettings: { musicVolume: 0.2 } }
+      });
+      app = new Application({
+        container,
+        persistSettings: true,
+        syncState: true
+      });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.state.musicVolume.value).to.equal(0.2);
+        expect(container.lastMessage('musicVolume')).to.equal(0.2);
+        expect(container.messages('voVolume')).to.have.lengthOf(0);
+
+        app.state.voVolume.value = 0.4;
+        setTimeout(() => {
+          expect(container.userData.springrollSettings.voVolume).to.equal(0.4);
+          expect(localStorage.getItem('springrollSettings')).to.equal(null);
+          container.destroy();
+          done();
+        }, 0);
+      });
+    });
+
+    it('should not restore settings unless enabled', done => {
+      localStorage.setItem(
+        'springrollSettings',
+        JSON.stringify({ musicVolume: 0.2 })
+      );
+
+      app = new Application();
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.state.musicVolume.value).to.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('standalonePanel', () => {
+    let parent;
+    let container;
+    let app;
+
+    beforeEach(() => {
+      // an iframe whose parent page is not a container
+      parent = Sinon.stub(window, 'parent').value({ postMessage: Sinon.spy() });
+      container = new Bellhop();
+    });
+
+    afterEach(() => {
+      app.destroy();
+      parent.restore();
+      container.destroy();
+    });
+
+    it('should show a panel when the container does not connect in time', done => {
+      app = new Application({
+        container,
+        features: { music: true },
+        standalonePanel: true,
+        standaloneTimeout: 10
+      });
+      expect(app.standalone).to.be.false;
+      app.state.pause.subscribe(() => {});
+      app.state.musicVolume.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.standalone).to.be.true;
+        const element = app.standalonePanel.element;
+        expect(element.parentNode).to.equal(document.body);
+        const input = name => element.querySelector(`[name="${name}"]`);
+        expect(input('pause')).to.not.equal(null);
+        expect(input('musicVolume')).to.not.equal(null);
+        expect(input('voVolume')).to.equal(null);
+
+        app.destroy();
+        expect(element.parentNode).to.equal(null);
+        done();
+      });
+    });
+
+    it('should remove the panel if the container connects late', done => {
+      app = new Application({
+        container,
+        standalonePanel: true,
+        standaloneTimeout: 0
+      });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        const element = app.standalonePanel.element;
+        container.trigger('connected');
+
+        expect(app.standalone).to.be.false;
+        expect(app.standalonePanel).to.equal(null);
+        expect(element.parentNode).to.equal(null);
+        done();
+      });
+    });
+
+    it('should not wait for the container to connect unless the panel is enabled', done => {
+      app = new Application({ container, standaloneTimeout: 10000 });
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.standalone).to.be.false;
+        expect(app.standalonePanel).to.equal(null);
+        done();
+      });
+    });
+
+    it('should not show a panel unless enabled', done => {
+      app = new Application();
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.standalonePanel).to.equal(null);
+        done();
+      });
+    });
+  });
+
+  describe('autoPause', () => {
+    const setHidden = hidden => {
+      Object.defineProperty(document, 'hidden', {
+        configurable: true,
+        get: () => hidden
+      });
+      document.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    beforeEach(() => {
+      setHidden(false);
+    });
+
+    let app;
+
+    afterEach(() => {
+      app.destroy();
+      delete document.hidden;
+    });
+
+    it('should pause while the game does not have focus', () => {
+      app = new Application({ autoPause: true });
+      app.state.pause.value = false;
+
+      window.dispatchEvent(new Event('blur'));
+      expect(app.state.pause.value).to.be.true;
+      expect(app.autoPaused).to.be.true;
+
+      window.dispatchEvent(new Event('focus'));
+      expect(app.state.pause.value).to.be.false;
+      expect(app.autoPaused).to.be.false;
+    });
+
+    it('should pause while the page is hidden', () => {
+      app = new Application({ autoPause: { blur: false } });
+      app.state.pause.value = false;
+
+      window.dispatchEvent(new Event('blur'));
+      expect(app.state.pause.value).to.be.false;
+
+      setHidden(true);
+      expect(app.state.pause.value).to.be.true;
+
+      setHidden(false);
+      expect(app.state.pause.value).to.be.false;
+      window.dispatchEvent(new Event('focus'));
+    });
+
+    it('should not resume a game the player paused', () => {
+      app = new Application({ autoPause: true });
+      app.state.pause.value = true;
+
+      setHidden(true);
+      expect(app.autoPaused).to.be.false;
+
+      setHidden(false);
+      expect(app.state.pause.value).to.be.true;
+    });
+
+    it('should not resume a game the container paused while it was paused automatically', () => {
+      const container = new MockContainer();
+      app = new Application({ container, autoPause: { blur: true } });
+      app.state.pause.value = false;
+
+      window.dispatchEvent(new Event('blur'));
+      container.push('pause', true);
+      expect(app.autoPaused).to.be.false;
+
+      window.dispatchEvent(new Event('focus'));
+      expect(app.state.pause.value).to.be.true;
+      container.destroy();
+    });
+
+    it('should not resume a game the player paused while it was paused automatically', () => {
+      app = new Application({ autoPause: true });
+      app.state.pause.value = false;
+
+      setHidden(true);
+      app.state.pause.value = true;
+
+      setHidden(false);
+      expect(app.state.pause.value).to.be.true;
+    });
+
+    it('should not pause unless enabled', () => {
+      app = new Application();
+      app.state.pause.value = false;
+
+      setHidden(true);
+      expect(app.state.pause.value).to.be.false;
+    });
+  });
+
+  describe('reportErrors', () => {
+    it('should report plugin init errors with the plugin name', done => {
+      const plugin = new OrderPlugin('broken', []);
+      plugin.init = () => {
+        throw new Error('init failed');
+      };
+      const container = new MockContainer();
+
+      const app = new Application({ container, plugins: [plugin] });
+      const ready = new Promise(resolve => app.state.ready.subscribe(resolve));
+      Promise.all([app.handshake, ready]).then(() => {
+        expect(container.lastMessage('error')).to.include({
+          type: 'plugin',
+          plugin: 'broken',
+          message: 'init failed'
+        });
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should stop reporting errors when destroyed', () => {
+      const app = new Application();
+      const stop = Sinon.spy(app.errorReporter, 'stop');
+      app.destroy();
+      expect(stop.calledOnce).to.be.true;
+    });
+
+    it('should not create an error reporter if disabled', () => {
+      const app = new Application({ reportErrors: false });
+      expect(app.errorReporter).to.be.null;
+      app.destroy();
+    });
+  });
+
+  describe('track', () => {
+    it('should send events to the analytics sink with the game id', () => {
+      const sink = new LogSink();
+      const app = new Application({ analytics: { sink, batchSize: 1 } });
+      app.state.playOptions.value = { gameId: 'abc' };
+
+      app.track('levelComplete', { score: 10 });
+      expect(sink.events).to.have.lengthOf(1);
+      expect(sink.events[0]).to.include({
+        event: 'levelComplete',
+        gameId: 'abc',
+        sessionId: app.tracker.sessionId
+      });
+      expect(sink.events[0].data).to.deep.equal({ score: 10 });
+      app.destroy();
+    });
+
+    it('should send queued events when destroyed', () => {
+      const sink = new LogSink();
+      const app = new Application({ analytics: { sink } });
+
+      app.track('quit');
+      expect(sink.events).to.have.lengthOf(0);
+      app.destroy();
+      expect(sink.events).to.have.lengthOf(1);
+    });
+  });
+
+  describe('learning', () => {
+    it('should only create a learning recorder when configured', () => {
+      const app = new Application();
+      expect(app.learning).to.be.null;
+      app.destroy();
+
+      const sink = new LogSink();
+      const learningApp = new Application({
+        learning: { activityId: 'https://example.com/games/test', sink }
+      });
+      learningApp.learning.completed();
+      expect(sink.events).to.have.lengthOf(2);
+      learningApp.destroy();
+    });
+  });
+
+  describe('playOptions', () => {
+    const playOptions = {
+      difficulty: { type: 'string', enum: ['easy', 'hard'], default: 'easy' },
+      rounds: { type: 'number', min: 1, max: 10, default: 3 },
+      hints: { type: 'boolean', default: true }
+    };
+    let log;
+
+    beforeEach(() => {
+      log = Sinon.stub(Debugger, 'log');
+    });
+
+    afterEach(() => {
+      log.restore();
+      window.history.replaceState({}, '', window.location.pathname);
+    });
+
+    it('should start with the default playOptions', () => {
+      const app = new Application({ playOptions });
+      expect(app.state.playOptions.value).to.deep.equal({
+        difficulty: 'easy',
+        rounds: 3,
+        hints: true
+      });
+      app.destroy();
+    });
+
+    it('should prefer container options over the query string', () => {
+      const query = JSON.stringify({ difficulty: 'hard', rounds: '5' });
+      window.history.replaceState(
+        {},
+        '',
+        '?playOptions=' + encodeURIComponent(query)
+      );
+
+      const app = new Application({ playOptions });
+      expect(app.state.playOptions.value).to.deep.equal({
+        difficulty: 'hard',
+        rounds: 5,
+        hints: true
+      });
+
+      BellhopSingleton.trigger('playOptions', { rounds: 7 });
+      expect(app.state.playOptions.value).to.deep.equal({
+        difficulty: 'hard',
+        rounds: 7,
+        hints: true
+      });
+      app.destroy();
+    });
+
+    it('should warn about unknown and invalid options', () => {
+      const app = new Application({ playOptions });
+      BellhopSingleton.trigger('playOptions', { rounds: 50, theme: 'space' });
+
+      expect(app.state.playOptions.value).to.deep.equal({
+        difficulty: 'easy',
+        rounds: 3,
+        hints: true,
+        theme: 'space'
+      });
+      expect(
+        log.calledWith('warn', 'Unknown playOption "theme" from the container')
+      ).to.be.true;
+      expect(
+        log.calledWith(
+          'warn',
+          'Invalid playOption "rounds" from the container: expected a number between 1 and 10 but received 50'
+        )
+      ).to.be.true;
+      app.destroy();
+    });
+  });
+
+  describe('snapshot', () => {
+    it('should capture feature state and registered game state', () => {
+      const app = new Application();
+      const level = app.registerState('level', new Property({ id: 2 }));
+      app.state.soundVolume.value = 0.4;
+
+      const snapshot = app.snapshot();
+      expect(snapshot).to.include({ soundVolume: 0.4 });
+      expect(snapshot.level).to.deep.equal({ id: 2 });
+      expect(snapshot.level).to.not.equal(level.value);
+      expect(snapshot).to.not.have.property('ready');
+      expect(snapshot).to.not.have.property('playOptions');
+      app.destroy();
+    });
+
+    it('should not register state that already exists', () => {
+      const app = new Application();
+      expect(() => app.registerState('pause', new Property(false))).to.throw(
+        'Application state "pause" already exists.'
+      );
+      app.destroy();
+    });
+
+    it('should not register derived state', () => {
+      const app = new Application();
+      const total = app.state.soundVolume.map(volume => volume * 100);
+      expect(() => app.registerState('total', total)).to.throw(
+        'Application state "total" can not be a read-only derived property.'
+      );
+      expect(app.state.total).to.be.undefined;
+      app.destroy();
+    });
+
+    it('should restore a snapshot and notify once it is applied', () => {
+      const app = new Application();
+      const level = app.registerState('level', new Property(1));
+      app.state.soundVolume.value = 1;
+
+      let seen;
+      level.subscribe(() => (seen = app.state.soundVolume.value));
+      app.restore({ soundVolume: '0.25', level: 3 });
+
+      expect(app.state.soundVolume.value).to.equal(0.25);
+      expect(level.value).to.equal(3);
+      expect(seen).to.equal(0.25);
+      app.destroy();
+    });
+
+    it('should not apply any of a snapshot with an invalid value', () => {
+      const app = new Application();
+      app.state.soundVolume.value = 1;
+      app.state.musicVolume.value = 1;
+
+      expect(() => app.restore({ soundVolume: 0.5, musicVolume: 5 })).to.throw(
+        'Invalid snapshot state "musicVolume": expected a number between 0 and 1 but received 5'
+      );
+      expect(app.state.soundVolume.value).to.equal(1);
+      app.destroy();
+    });
+  });
+
+  describe('handshake', () => {
+    it('should announce the protocol version and capabilities', () => {
+      const container = new MockContainer();
+      const app = new Application({ container });
+
+      expect(container.lastMessage('handshake')).to.deep.equal({
+        version: Application.protocolVersion,
+        capabilities: Application.capabilities
+      });
+      app.destroy();
+      container.destroy();
+    });
+
+    it('should only send modern messages to containers that answer', done => {
+      const container = new MockContainer({
+        handshake: { version: 2, capabilities: ['features', 'userData'] }
+      });
+      const app = new Application({ container });
+
+      app.handshake.then(info => {
+        expect(info).to.equal(app.containerInfo);
+        expect(app.containerInfo).to.deep.equal({
+          version: 2,
+          capabilities: ['features', 'userData'],
+          legacy: false
+        });
+        expect(app.containerSupports('userData')).to.be.true;
+        expect(container._listeners.soundMuted).to.have.lengthOf(0);
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should not wait for the handshake before it is ready', done => {
+      const container = new MockContainer({ handshake: false });
+      const app = new Application({ container, handshakeTimeout: 1000 });
+      expect(container.lastMessage('keepFocus')).to.be.false;
+
+      app.state.ready.subscribe(() => {
+        expect(app.containerInfo).to.be.null;
+        expect(container.messages('loaded')).to.have.lengthOf(1);
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should only send messages the container supports once it answers', () => {
+      const container = new MockContainer({
+        handshake: { version: 2, capabilities: ['features', 'error'] }
+      });
+      const app = new Application({
+        container,
+        learning: { activityId: 'https://example.com/game' }
+      });
+      app.errorReporter.report(new Error('broken'));
+      app.learning.attempted();
+      app.track('levelComplete');
+      app.tracker.flush();
+      expect(container.messages('error')).to.have.lengthOf(0);
+
+      return app.handshake.then(() => {
+        app.errorReporter.report(new Error('broken again'));
+        app.track('levelComplete');
+        app.tracker.flush();
+        app.learning.flush();
+        const sent = type => container.messages(type).length;
+        app.destroy();
+        container.destroy();
+
+        expect(sent('error')).to.equal(2);
+        expect(sent('learningStatements')).to.equal(0);
+        expect(sent('trackEvents')).to.equal(0);
+      });
+    });
+
+    it('should treat containers that do not answer as legacy', done => {
+      const container = new MockContainer({ handshake: false });
+      const app = new Application({ container, handshakeTimeout: 10 });
+      expect(app.containerInfo).to.be.null;
+
+      app.handshake.then(() => {
+        expect(app.containerInfo.legacy).to.be.true;
+        expect(app.containerSupports('legacyMute')).to.be.true;
+        expect(container.lastMessage('keepFocus')).to.be.false;
+        expect(container._listeners.soundMuted).to.have.lengthOf(1);
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should send request ids to containers that echo them', done => {
+      const container = new MockContainer();
+      container.install();
+      const app = new Application({ container });
+      expect(UserData.rpc.correlate).to.be.false;
+
+      app.handshake.then(() => {
+        expect(UserData.rpc.correlate).to.be.true;
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should not have container info when standalone', done => {
+      const container = new Bellhop();
+      const app = new Application({ container, standaloneTimeout: 0 });
+      app.handshake.then(info => {
+        expect(app.standalone).to.be.true;
+        expect(info).to.be.null;
+        expect(app.containerInfo).to.be.null;
+        expect(app.containerSupports('features')).to.be.false;
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+  });
+
+  describe('message validation', () => {
+    beforeEach(() => {
+      Sinon.stub(Debugger, 'log');
+    });
+
+    afterEach(() => {
+      Debugger.log.restore();
+    });
+
+    it('should ignore built in messages that do not match their schema', done => {
+      const container = new MockContainer({ handshake: false });
+      const app = new Application({
+        container,
+        handshakeTimeout: 10,
+        features: { sound: true }
+      });
+      app.state.soundVolume.value = 0.5;
+
+      container.push('handshake', { version: '2', capabilities: 'all' });
+      container.push('soundMuted', 'loudly');
+      container.push('playOptions', 5);
+      expect(app.state.soundVolume.value).to.equal(0.5);
+      expect(
+        Debugger.log.calledWith(
+          'warn',
+          Sinon.match('Ignored invalid soundMuted message')
+        )
+      ).to.be.true;
+
+      app.handshake.then(() => {
+        expect(app.containerInfo.legacy).to.be.true;
+        container.push('soundMuted', true);
+        expect(app.state.soundVolume.value).to.equal(0);
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should only accept messages from trusted origins', () => {
+      const origin = 'https://container.example.com';
+      const container = new Bellhop();
+      const receive = container.receive;
+      const app = new Application({ container, trustedOrigins: [origin] });
+
+      expect(container.origin).to.equal(origin);
+      expect(app.trustedOrigins.allows(origin)).to.be.true;
+      expect(container.receive).to.not.equal(receive);
+
+      app.destroy();
+      expect(container.receive).to.equal(receive);
+      container.destroy();
+    });
+  });
+
+  describe('inspectMessages', () => {
+    it('should record container traffic from the start', done => {
+      const container = new MockContainer();
+      const send = container.send;
+      const app = new Application({
+        container,
+        inspectMessages: { log: false, panel: true }
+      });
+      const inspector = app.messageInspector;
+      const ready = new Promise(resolve => app.state.ready.subscribe(resolve));
+
+      Promise.all([ready, app.handshake]).then(() => {
+        expect(inspector.query({ type: 'connected' })).to.have.lengthOf(1);
+        expect(inspector.query({ type: 'features' })).to.have.lengthOf(1);
+        expect(
+          inspector.query({ direction: 'in', type: 'handshake' })
+        ).to.have.lengthOf(1);
+        expect(inspector.element.parentNode).to.equal(document.body);
+
+        app.destroy();
+        expect(inspector.element).to.be.null;
+        expect(container.send).to.equal(send);
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should not record container traffic by default', () => {
+      const container = new MockContainer();
+      const app = new Application({ container });
+      expect(app.messageInspector).to.be.null;
+      app.destroy();
+      container.destroy();
+    });
+  });
+
+  describe('connection', () => {
+    it('should start the heartbeat when the container supports it', done => {
+      const container = new MockContainer();
+      const app = new Application({ container });
+      expect(app.connection.value).to.equal('connected');
+
+      app.handshake.then(() => {
+        expect(app.connectionMonitor.running).to.be.true;
+        expect(container.messages('heartbeat')).to.have.lengthOf(1);
+        app.destroy();
+        expect(app.connectionMonitor.running).to.be.false;
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should not send heartbeats to containers that do not support them', done => {
+      const container = new MockContainer({ handshake: false });
+      const app = new Application({ container, handshakeTimeout: 10 });
+
+      app.handshake.then(() => {
+        expect(app.connectionMonitor.running).to.be.false;
+        expect(container.messages('heartbeat')).to.have.lengthOf(0);
+        app.destroy();
+        container.destroy();
+        done();
+      });
+    });
+
+    it('should resend features and state when the container reconnects', done => {
+      const container = new MockContainer();
+      container.install();
+      const app = new Application({
+        container,
+        features: { sound: true },
+        heartbeatInterval: 20,
+        heartbeatTimeout: 10
+      });
+
+      app.state.ready.subscribe(() => {
+        app.state.soundVolume.value = 0.4;
+        container.disconnect();
+        container.clearMessages();
+      });
+
+      app.connection.subscribe(status => {
+        if ('lost' === status) {
+          UserData.read('highScore').catch(error => {
+            expect(error).to.include('Bellhop is not connected');
+            container.connect();
+          });
+          return;
+        }
+
+        expect(container.lastMessage('features')).to.include({ sound: true });
+        expect(container.lastMessage('soundVolume')).to.equal(0.4);
+        expect(container.messages('handshake')).to.have.lengthOf(1);
+        expect(container.messages('loaded')).to.have.lengthOf(1);
+        app.destroy();
+        expect(UserData.connection).to.be.null;
+        container.destroy();
+        done();
+      });
+    });
+  });
+
+  describe('registerFeature', () => {
+    afterEach(() => {
+      Application._features = Application._features.filter(
+        feature => feature.name !== 'textSpeed'
+      );
+    });
+
+    it('should add a disabled feature and its state property', () => {
+      Application.registerFeature({ name: 'textSpeed', default: 0.5 });
+
+      const app = new Application();
+      expect(app.features.textSpeed).to.equal(false);
+      expect(app.state.textSpeed).to.be.instanceOf(Property);
+    });
+
+    it('should keep the state property in sync with the container', () => {
+      Application.registerFeature({
+        name: 'textSpeed',
+        stateKey: 'textSpeedScale',
+        containerEvent: 'textSpeedChanged'
+      });
+
+      const app = new Application();
+      BellhopSingleton.trigger({ type: 'textSpeedChanged', data: 0.8 });
+      expect(app.state.textSpeedScale.value).to.equal(0.8);
+      app.destroy();
+    });
+
+    it('should set the default value of the state property', done => {
+      Application.registerFeature({ name: 'textSpeed', default: 0.25 });
+
+      const app = new Application();
+      app.state.pause.subscribe(() => {});
+      app.state.ready.subscribe(() => {
+        expect(app.state.textSpeed.value).to.equal(0.25);
+        done();
+      });
+    });
+
+    it('should require a listener when the feature is enabled', () => {
+      Application.registerFeature({ name: 'textSpeed', default: 0.5 });
+
+      const app = new Application({ features: { textSpeed: true } });
+      app.state.pause.subscribe(() => {});
+      expect(() => app.validateListeners()).to.throw(
+        'Application state is missing required listeners: textSpeed.'
+      );
+
+      app.state.textSpeed.subscribe(() => {});
+      expect(() => app.validateListeners()).to.not.throw();
+    });
+
+    it('should not require a listener if the feature does not need one', () => {
+      Application.registerFeature({
+        name: 'textSpeed',
+        default: 0.5,
+        requiresListener: false
+      });
+
+      const app = new Application({ features: { textSpeed: true } });
+      app.state.pause.subscribe(() => {});
+      expect(() => app.validateListeners()).to.not.throw();
+    });
+
+    it('should throw if a feature is registered twice', () => {
+      Application.registerFeature({ name: 'textSpeed' });
+      expect(() => Application.registerFeature({ name: 'textSpeed' })).to.throw(
+        'Application feature "textSpeed" is already registered.'
+      );
+    });
+
+    it('should throw if a feature has no name', () => {
+      expect(() => Application.registerFeature({})).to.throw();
+    });
+
+    it('should throw if a feature uses a reserved state key', () => {
+      expect(() =>
+        Application.registerFeature({ name: 'textSpeed', stateKey: 'pause' })
+      ).to.throw(
+        'Application feature "textSpeed" can not use the reserved state key "pause".'
+      );
+      expect(() =>
+        Application.registerFeature({ name: 'textSpeed', stateKey: 'ready' })
+      ).to.throw();
+    });
+
+    it('should throw if a feature uses the state key of another feature', () => {
+      expect(() =>
+        Application.registerFeature({
+          name: 'textSpeed',
+          stateKey: 'soundVolume'
+        })
+      ).to.throw(
+        'Application feature "textSpeed" can not use the state key "soundVolume" of the "sound" feature.'
+      );
+      expect(
+        Application._features.find(feature => 'textSpeed' === feature.name)
+      ).to.be.undefined;
+    });
+  });
+
+  describe('destroy', () => {
+    it('should remove every container listener it added', () => {
+      const container = BellhopSingleton;
+      const countListeners = () =>
+        Object.keys(container._listeners).reduce(
+          (count, name) => count + container._listeners[name].length,
+          0
+        );
+
+      const before = countListeners();
+      const app = new Application();
+      expect(countListeners()).to.be.above(before);
+
+      app.destroy();
+      expect(countListeners()).to.equal(before);
+    });
+
+    it('should remove its window focus listeners', () => {
+      const app = new Application();
+      const removeEventListener = Sinon.spy(window, 'removeEventListener');
+
+      app.destroy();
+      removeEventListener.restore();
+
+      expect(removeEventListener.calledWith('focus', app._onFocus)).to.be.true;
+      expect(removeEventListener.calledWith('blur', app._onBlur)).to.be.true;
+    });
+
+    it('should destroy plugins in reverse order', done => {
+      const order = [];
+      const destroyed = [];
+      const a = new OrderPlugin('a', order);
+      const b = new OrderPlugin('b', order, { required: ['a'] });
+      a.destroy = () => destroyed.push('a');
+      b.destroy = () => destroyed.push('b');
+
+      const app = new Application({ plugins: [b, a] });
+      app.state.ready.subscribe(() => {
+        app.destroy();
+        expect(destroyed).to.deep.equal(['b', 'a']);
+        done();
+      });
+    });
+
+    it('should reset state properties and remove their listeners', done => {
+      const app = new Application();
+      const callback = Sinon.fake();
+      app.state.pause.subscribe(callback);
+
+      app.state.ready.subscribe(() => {
+        app.destroy();
+        expect(app.state.ready.value).to.be.false;
+        expect(app.state.pause.value).to.be.undefined;
+        expect(app.state.pause.hasListeners).to.be.false;
+        expect(callback.callCount).to.equal(1);
+        done();
+      });
+    });
+
+    it('should not become ready if destroyed while plugins are preloading', done => {
+      const plugin = new SuccessPlugin();
+      const app = new Application({ plugins: [plugin] });
+      const send = Sinon.spy(app.container, 'send');
+      app.destroy();
+
+      setTimeout(() => {
+        send.restore();
+        expect(app.state.ready.value).to.be.false;
+        expect(plugin.initCalled).to.be.undefined;
+        expect(send.calledWith('loaded')).to.be.false;
+        done();
+      }, 0);
+    });
+
+    it('should skip the rest of setup if destroyed while plugins are preloading', done => {
+      const plugin = new SuccessPlugin();
+      plugin.destroy = Sinon.fake();
+      const app = new Application({
+        plugins: [plugin],
+        features: { captions: true }
+      });
+      Sinon.stub(Debugger, 'log');
+      app.destroy();
+
+      setTimeout(() => {
+        const logged = Debugger.log.called;
+        Debugger.log.restore();
+        expect(logged).to.be.false;
+        expect(plugin.destroy.called).to.be.false;
+        done();
+      }, 0);
+    });
+  });
+
   it('should not contain any undefined state property values', done => {
     const app = new Application();
     app.state.pause.subscribe(() => {}); // Add a listener to avoid non-listener errors from the pause feature.
@@ -0,0 +1,37 @@
+/**
+ * An analytics sink that sends batches of tracked events to the container as `trackEvents` events. Events are held by
+ * the tracker until the container is connected.
+ * @export
+ * @class BellhopSink
+ */
+export class BellhopSink {
+  /**
+   * Creates an instance of BellhopSink.
+   * @param {Bellhop} container The container connection to send events to.
+   * @param {string} [eventName='trackEvents'] The name of the container event batches are sent as.
+   * @memberof BellhopSink
+   */
+  constructor(container, eventName = 'trackEvents') {
+    this.container = container;
+    this.eventName = eventName;
+  }
+
+  /**
+   * Whether the container is connected and can receive events.
+   * @readonly
+   * @returns {boolean}
+   * @memberof BellhopSink
+   */
+  get ready() {
+    return !!this.container.connected;
+  }
+
+  /**
+   * Sends a batch of events to the container.
+   * @param {TrackedEvent[]} events
+   * @memberof BellhopSink
+   */
+  send(events) {
+    this.container.send(this.eventName, events);
+  }
+}
@@ -0,0 +1,45 @@
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * An analytics sink that keeps every tracked event in memory, and optionally logs each batch through the Debugger.
+ * Useful for tests and for games that are running without a container.
+ * @export
+ * @class LogSink
+ */
+export class LogSink {
+  /**
+   * Creates an instance of LogSink.
+   * @param {object} [options={}]
+   * @param {boolean} [options.log=false] Whether each batch is logged with `Debugger.log('info', ...)`.
+   * @memberof LogSink
+   */
+  constructor({ log = false } = {}) {
+    this.log = log;
+    this.ready = true;
+    this.events = [];
+    this.batches = [];
+  }
+
+  /**
+   * Records a batch of events.
+   * @param {TrackedEvent[]} events
+   * @memberof LogSink
+   */
+  send(events) {
+    this.batches.push(events);
+    this.events = this.events.concat(events);
+
+    if (this.log) {
+      Debugger.log('info', 'Tracked events:', events);
+    }
+  }
+
+  /**
+   * Forgets every recorded event.
+   * @memberof LogSink
+   */
+  clear() {
+    this.events = [];
+    this.batches = [];
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * @typedef {object} TrackedEvent
+ * @property {string} event The name of the event
+ * @property {object} data Information about the event provided by the game
+ * @property {number} timestamp The time the event was tracked, in milliseconds since the epoch
+ * @property {string} sessionId An id that is shared by every event tracked by the same tracker
+ * @property {string} [gameId] The id of the game, from the container's playOptions
+ */
+
+/**
+ * @typedef {object} AnalyticsSink
+ * @property {boolean} [ready] Whether the sink can receive events. Events are queued while this is false
+ * @property {function(TrackedEvent[]): void} send Receives a batch of events
+ */
+
+/**
+ * Creates a random id for a tracking session.
+ * @return {string}
+ * @private
+ */
+function createSessionId() {
+  return (
+    Date.now().toString(36) +
+    '-' +
+    Math.random()
+      .toString(36)
+      .slice(2, 10)
+  );
+}
+
+/**
+ * Collects gameplay events into a standard envelope, and sends them to a sink in batches. Events are queued in memory
+ * until the sink is ready to receive them.
+ * @export
+ * @class Tracker
+ */
+export class Tracker {
+  /**
+   * Creates an instance of Tracker.
+   * @param {object} options
+   * @param {AnalyticsSink} options.sink Where batches of events are sent.
+   * @param {number} [options.batchSize=10] The number of queued events that causes a batch to be sent immediately.
+   * @param {number} [options.flushInterval=1000] Milliseconds to wait before sending a batch that is not full.
+   * @param {number} [options.maxQueueSize=500] The most events that are kept while the sink is not ready. The oldest
+   * events are dropped first.
+   * @param {function(): string} [options.getGameId] Returns the id of the game to add to each event.
+   * @memberof Tracker
+   */
+  constructor({
+    sink,
+    batchSize = 10,
+    flushInterval = 1000,
+    maxQueueSize = 500,
+    getGameId = () => undefined
+  }) {
+    this.sink = sink;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxQueueSize = maxQueueSize;
+    this.getGameId = getGameId;
+    this.sessionId = createSessionId();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Adds an event to the queue, and sends the queue if a full batch is waiting.
+   * @param {string} eventName The name of the event.
+   * @param {object} [data={}] Information about the event.
+   * @return {TrackedEvent} The event that was queued.
+   * @memberof Tracker
+   */
+  track(eventName, data = {}) {
+    if ('string' !== typeof eventName || !eventName) {
+      throw new Error('Tracked events must have a name.');
+    }
+
+    const event = {
+      event: eventName,
+      data,
+      timestamp: Date.now(),
+      sessionId: this.sessionId,
+      gameId: this.getGameId()
+    };
+
+    this.queue.push(event);
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.splice(0, this.queue.length - this.maxQueueSize);
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+
+    return event;
+  }
+
+  /**
+   * Sends every queued event to the sink in batches, if the sink is ready. If it is not, another attempt is
+   * scheduled.
+   * @memberof Tracker
+   */
+  flush() {
+    this.cancelFlush();
+
+    if (!this.queue.length) {
+      return;
+    }
+
+    if (false === this.sink.ready) {
+      this.scheduleFlush();
+      return;
+    }
+
+    while (this.queue.length) {
+      this.sink.send(this.queue.splice(0, this.batchSize));
+    }
+  }
+
+  /**
+   * Starts the flush timer, if it is not already running.
+   * @private
+   * @memberof Tracker
+   */
+  scheduleFlush() {
+    if (null === this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.flushInterval);
+    }
+  }
+
+  /**
+   * Stops the flush timer.
+   * @private
+   * @memberof Tracker
+   */
+  cancelFlush() {
+    if (null !== this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sends any queued events that the sink can receive, and stops the flush timer. Events that could not be sent are
+   * discarded.
+   * @memberof Tracker
+   */
+  destroy() {
+    this.flush();
+    this.cancelFlush();
+    this.queue = [];
+  }
+}
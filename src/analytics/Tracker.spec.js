@@ -0,0 +1,103 @@
+import { Tracker } from './Tracker';
+import { LogSink } from './LogSink';
+import { BellhopSink } from './BellhopSink';
+import Sinon from 'sinon';
+
+describe('Tracker', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = Sinon.useFakeTimers(1000);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should wrap events in an envelope', () => {
+    const sink = new LogSink();
+    const tracker = new Tracker({ sink, getGameId: () => 'game-1' });
+
+    const event = tracker.track('levelStart', { level: 2 });
+    expect(event).to.deep.equal({
+      event: 'levelStart',
+      data: { level: 2 },
+      timestamp: 1000,
+      sessionId: tracker.sessionId,
+      gameId: 'game-1'
+    });
+    expect(tracker.sessionId).to.be.a('string');
+  });
+
+  it('should throw if an event has no name', () => {
+    const tracker = new Tracker({ sink: new LogSink() });
+    expect(() => tracker.track()).to.throw('Tracked events must have a name.');
+  });
+
+  it('should send a batch after the flush interval', () => {
+    const sink = new LogSink();
+    const tracker = new Tracker({ sink, flushInterval: 500 });
+
+    tracker.track('a');
+    tracker.track('b');
+    expect(sink.events).to.have.lengthOf(0);
+
+    clock.tick(500);
+    expect(sink.batches).to.have.lengthOf(1);
+    expect(sink.events.map(event => event.event)).to.deep.equal(['a', 'b']);
+  });
+
+  it('should send a full batch immediately', () => {
+    const sink = new LogSink();
+    const tracker = new Tracker({ sink, batchSize: 2 });
+
+    tracker.track('a');
+    tracker.track('b');
+    expect(sink.batches).to.have.lengthOf(1);
+    expect(sink.batches[0]).to.have.lengthOf(2);
+  });
+
+  it('should queue events until the sink is ready', () => {
+    const sink = new LogSink();
+    sink.ready = false;
+    const tracker = new Tracker({ sink, batchSize: 2, maxQueueSize: 3 });
+
+    ['a', 'b', 'c', 'd'].forEach(name => tracker.track(name));
+    clock.tick(1000);
+    expect(sink.events).to.have.lengthOf(0);
+
+    sink.ready = true;
+    clock.tick(1000);
+    expect(sink.batches.map(batch => batch.length)).to.deep.equal([2, 1]);
+    expect(sink.events.map(event => event.event)).to.deep.equal([
+      'b',
+      'c',
+      'd'
+    ]);
+  });
+
+  it('should send queued events and stop when destroyed', () => {
+    const sink = new LogSink();
+    const tracker = new Tracker({ sink });
+
+    tracker.track('a');
+    tracker.destroy();
+    expect(sink.events).to.have.lengthOf(1);
+    expect(tracker.timer).to.be.null;
+  });
+});
+
+describe('BellhopSink', () => {
+  it('should send batches to the container once it is connected', () => {
+    const container = { connected: false, send: Sinon.spy() };
+    const sink = new BellhopSink(container);
+    expect(sink.ready).to.be.false;
+
+    container.connected = true;
+    expect(sink.ready).to.be.true;
+
+    sink.send([{ event: 'a' }]);
+    expect(container.send.calledWith('trackEvents', [{ event: 'a' }])).to.be
+      .true;
+  });
+});
@@ -0,0 +1,3 @@
+export * from './Tracker';
+export * from './BellhopSink';
+export * from './LogSink';
@@ -0,0 +1,177 @@
+import { Property } from '../state/Property';
+
+/**
+ * Tracks the health of the connection to the container. The status is connecting until the container connects, and
+ * once the heartbeat is started, lost whenever the container stops answering heartbeat messages. A lost connection
+ * becomes connected again as soon as the container answers or reconnects. While the connection is lost the monitor
+ * connects to the container again, waiting longer after each attempt, because a container that reloads only answers a
+ * new connection.
+ * @export
+ * @class ConnectionMonitor
+ */
+export class ConnectionMonitor {
+  /**
+   * Creates an instance of ConnectionMonitor, and starts listening for the container to connect.
+   * @param {Bellhop} container The connection to the container.
+   * @param {object} [options={}]
+   * @param {number} [options.interval=5000] Milliseconds between heartbeat messages.
+   * @param {number} [options.timeout=2000] Milliseconds to wait for the container to answer a heartbeat message before
+   * the connection is lost.
+   * @param {string} [options.origin='*'] The origin the container is connected to again at.
+   * @param {number} [options.reconnectDelay=1000] Milliseconds to wait after the connection is lost before connecting
+   * again. The delay doubles after each attempt.
+   * @param {number} [options.maxReconnectDelay=30000] The longest delay between attempts to connect again.
+   * @memberof ConnectionMonitor
+   */
+  constructor(
+    container,
+    {
+      interval = 5000,
+      timeout = 2000,
+      origin = '*',
+      reconnectDelay = 1000,
+      maxReconnectDelay = 30000
+    } = {}
+  ) {
+    this.container = container;
+    this.interval = interval;
+    this.timeout = timeout;
+    this.origin = origin;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.status = new Property(
+      container.connected ? 'connected' : 'connecting'
+    );
+    this.timer = null;
+    this.pending = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+
+    this.onConnected = () => (this.status.value = 'connected');
+    this.onHeartbeat = () => {
+      clearTimeout(this.pending);
+      this.pending = null;
+      this.status.value = 'connected';
+    };
+    this.container.on('connected', this.onConnected);
+
+    this.onStatus = status => {
+      if ('lost' === status) {
+        this.scheduleReconnect();
+      } else {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+      }
+    };
+    this.status.subscribe(this.onStatus);
+  }
+
+  /**
+   * Whether the heartbeat is running.
+   * @readonly
+   * @returns {boolean}
+   * @memberof ConnectionMonitor
+   */
+  get running() {
+    return null !== this.timer;
+  }
+
+  /**
+   * Starts sending heartbeat messages to the container. Only start the heartbeat if the container answers them,
+   * otherwise the connection is lost after the first message.
+   * @memberof ConnectionMonitor
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.container.on('heartbeat', this.onHeartbeat);
+    this.timer = setInterval(() => this.ping(), this.interval);
+    this.ping();
+  }
+
+  /**
+   * Stops sending heartbeat messages. The status is no longer changed by missing answers.
+   * @memberof ConnectionMonitor
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    clearTimeout(this.pending);
+    this.timer = null;
+    this.pending = null;
+    this.container.off('heartbeat', this.onHeartbeat);
+  }
+
+  /**
+   * Sends a heartbeat message, unless the container has not answered the previous one yet.
+   * @private
+   * @memberof ConnectionMonitor
+   */
+  ping() {
+    if (null !== this.pending) {
+      return;
+    }
+
+    this.pending = setTimeout(() => {
+      this.pending = null;
+      this.status.value = 'lost';
+    }, this.timeout);
+    this.container.send('heartbeat', { time: Date.now() });
+  }
+
+  /**
+   * Waits before connecting to the container again, longer after each attempt.
+   * @private
+   * @memberof ConnectionMonitor
+   */
+  scheduleReconnect() {
+    if (null !== this.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnectDelay * Math.pow(2, this.reconnectAttempt),
+      this.maxReconnectDelay
+    );
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  /**
+   * Connects to the container again, and schedules the next attempt in case the container does not answer.
+   * @private
+   * @memberof ConnectionMonitor
+   */
+  reconnect() {
+    this.reconnectTimer = null;
+    if ('lost' !== this.status.value) {
+      return;
+    }
+
+    // Bellhop ignores connect while it is still connecting, and only announces itself to the container when it connects
+    this.reconnectAttempt++;
+    this.container.disconnect();
+    this.container.connect(undefined, this.origin);
+
+    if ('lost' === this.status.value) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Stops the heartbeat, stops connecting again, stops listening to the container and removes every status listener.
+   * @memberof ConnectionMonitor
+   */
+  destroy() {
+    this.stop();
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.container.off('connected', this.onConnected);
+    this.status.listeners = [];
+  }
+}
@@ -0,0 +1,161 @@
+import { ConnectionMonitor } from './ConnectionMonitor';
+import { MockContainer } from './MockContainer';
+import { Bellhop } from 'bellhop-iframe';
+import Sinon from 'sinon';
+
+describe('ConnectionMonitor', () => {
+  let container;
+  let monitor;
+  let clock;
+
+  beforeEach(() => {
+    container = new MockContainer();
+    clock = Sinon.useFakeTimers(Date.now());
+  });
+
+  afterEach(() => {
+    monitor.destroy();
+    container.destroy();
+    clock.restore();
+  });
+
+  it('should be connecting until the container connects', () => {
+    monitor = new ConnectionMonitor(container);
+    expect(monitor.status.value).to.equal('connecting');
+
+    container.connect();
+    expect(monitor.status.value).to.equal('connected');
+  });
+
+  it('should send heartbeat messages while running', () => {
+    container.connect();
+    monitor = new ConnectionMonitor(container, { interval: 100 });
+    expect(monitor.status.value).to.equal('connected');
+
+    monitor.start();
+    expect(monitor.running).to.be.true;
+    expect(container.messages('heartbeat')).to.have.lengthOf(1);
+
+    return Promise.resolve().then(() => {
+      clock.tick(100);
+      expect(container.messages('heartbeat')).to.have.lengthOf(2);
+
+      monitor.stop();
+      clock.tick(1000);
+      expect(monitor.running).to.be.false;
+      expect(container.messages('heartbeat')).to.have.lengthOf(2);
+      expect(monitor.status.value).to.equal('connected');
+    });
+  });
+
+  it('should lose the connection when heartbeats are not answered', () => {
+    container.connect();
+    monitor = new ConnectionMonitor(container, { interval: 100, timeout: 50 });
+    const statuses = [];
+    monitor.status.subscribe((status, previous) =>
+      statuses.push([previous, status])
+    );
+
+    container.disconnect();
+    monitor.start();
+    clock.tick(50);
+    expect(monitor.status.value).to.equal('lost');
+
+    // heartbeats continue while the connection is lost
+    clock.tick(100);
+    expect(container.messages('heartbeat')).to.have.lengthOf(2);
+
+    container.push('heartbeat', {});
+    expect(statuses).to.deep.equal([
+      ['connected', 'lost'],
+      ['lost', 'connected']
+    ]);
+  });
+
+  it('should be connected again when the container reconnects', () => {
+    container.connect();
+    monitor = new ConnectionMonitor(container, { timeout: 50 });
+
+    container.disconnect();
+    monitor.start();
+    clock.tick(50);
+    expect(monitor.status.value).to.equal('lost');
+
+    container.connect();
+    expect(monitor.status.value).to.equal('connected');
+  });
+
+  it('should connect to a container that reloads again, waiting longer after each attempt', () => {
+    // a real Bellhop connection in an iframe, whose container page is replaced after it connects
+    const parent = { postMessage: Sinon.fake() };
+    const windowParent = Sinon.stub(window, 'parent').value(parent);
+    const bellhop = new Bellhop();
+    const containerAnswers = () =>
+      bellhop.receive({ source: parent, data: 'connected' });
+    const connectMessages = () =>
+      parent.postMessage.args.filter(args => 'connected' === args[0]);
+
+    try {
+      bellhop.connect(undefined, 'https://container.example.com');
+      containerAnswers();
+      monitor = new ConnectionMonitor(bellhop, {
+        timeout: 50,
+        origin: 'https://container.example.com',
+        reconnectDelay: 100
+      });
+      monitor.start();
+      clock.tick(50);
+      expect(monitor.status.value).to.equal('lost');
+      expect(connectMessages()).to.have.lengthOf(1);
+
+      clock.tick(100);
+      expect(connectMessages()).to.have.lengthOf(2);
+      expect(connectMessages()[1]).to.deep.equal([
+        'connected',
+        'https://container.example.com'
+      ]);
+
+      clock.tick(199);
+      expect(connectMessages()).to.have.lengthOf(2);
+      clock.tick(1);
+      expect(connectMessages()).to.have.lengthOf(3);
+
+      containerAnswers();
+      expect(bellhop.connected).to.be.true;
+      expect(monitor.status.value).to.equal('connected');
+
+      clock.tick(1000);
+      expect(connectMessages()).to.have.lengthOf(3);
+    } finally {
+      monitor.destroy();
+      bellhop.destroy();
+      windowParent.restore();
+    }
+  });
+
+  it('should stop connecting again when destroyed', () => {
+    container.connect();
+    monitor = new ConnectionMonitor(container, {
+      timeout: 50,
+      reconnectDelay: 100
+    });
+    container.disconnect();
+    monitor.start();
+    clock.tick(50);
+    const connect = Sinon.spy(container, 'connect');
+    monitor.destroy();
+
+    clock.tick(1000);
+    expect(connect.called).to.be.false;
+  });
+
+  it('should stop listening to the container when destroyed', () => {
+    monitor = new ConnectionMonitor(container);
+    monitor.start();
+    monitor.destroy();
+
+    container.connect();
+    expect(monitor.status.value).to.equal('connecting');
+    expect(monitor.running).to.be.false;
+  });
+});
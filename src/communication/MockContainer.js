@@ -0,0 +1,360 @@
+import { BellhopEventDispatcher } from 'bellhop-iframe';
+import { UserData } from '../state/UserData';
+
+/**
+ * Creates the response to a container request.
+ * @param {boolean} success
+ * @param {*} result
+ * @return {{ success: boolean, result: * }}
+ * @private
+ */
+function respond(success, result) {
+  return { success, result };
+}
+
+/**
+ * An in-process stand in for a SpringRoll Container, for testing games without an iframe. It has the same interface
+ * as the Bellhop connection, records every message the game sends, lets tests send container events to the game and
+ * answers UserData and IndexedDB requests from memory.
+ * @export
+ * @class MockContainer
+ * @extends BellhopEventDispatcher
+ */
+export class MockContainer extends BellhopEventDispatcher {
+  /**
+   * Creates an instance of MockContainer.
+   * @param {object} [options={}]
+   * @param {object} [options.userData={}] The UserData the container starts with.
+   * @param {{version: number, capabilities: string[]} | false} [options.handshake] The answer to the protocol
+   * handshake, or false to act like a legacy container that does not answer. Defaults to a container that supports
+   * UserData, IndexedDB, heartbeats, request ids and the messages games send about loading, errors, invalid state,
+   * analytics and learning.
+   * @memberof MockContainer
+   */
+  constructor({
+    userData = {},
+    handshake = {
+      version: 2,
+      capabilities: [
+        'features',
+        'state',
+        'playOptions',
+        'userData',
+        'indexedDB',
+        'stateError',
+        'loadProgress',
+        'error',
+        'trackEvents',
+        'learningStatements',
+        'heartbeat',
+        'requestIds'
+      ]
+    }
+  } = {}) {
+    super();
+    this.connected = false;
+    this.connecting = false;
+    this.sent = [];
+    this.userData = Object.assign({}, userData);
+    this.databases = {};
+    this.openDatabase = null;
+    this.previousContainer = null;
+    this.handlers = {
+      userDataRead: name => this.userData[name],
+      userDataWrite: ({ name, value }) => {
+        this.userData[name] = value;
+      },
+      userDataRemove: name => {
+        delete this.userData[name];
+      },
+      heartbeat: data => data,
+      IDBOpen: data => this.idbOpen(data),
+      IDBAdd: data => this.idbWrite('IDBAdd', data),
+      IDBUpdate: data => this.idbWrite('IDBUpdate', data),
+      IDBRemove: ({ storeName, key }) =>
+        this.idbStore('IDBRemove', storeName, store => {
+          store.records.delete(key);
+        }),
+      IDBRead: ({ storeName, key }) =>
+        this.idbStore('IDBRead', storeName, store => store.records.get(key)),
+      IDBReadAll: ({ storeName, count }) =>
+        this.idbStore('IDBReadAll', storeName, store => {
+          const values = Array.from(store.records.values());
+          return count ? values.slice(0, count) : values;
+        }),
+      IDBClose: () => {
+        this.openDatabase = null;
+        return respond(true, 'Success: IDBClose');
+      },
+      IDBDeleteDB: ({ dbName }) => {
+        delete this.databases[dbName];
+        if (this.openDatabase === dbName) {
+          this.openDatabase = null;
+        }
+        return respond(true, 'Success: IDBDeleteDB');
+      }
+    };
+
+    if (handshake) {
+      this.handlers.handshake = () => handshake;
+    }
+  }
+
+  /**
+   * Connects to the game. The mock container is connected immediately.
+   * @memberof MockContainer
+   */
+  connect() {
+    if (this.connected) {
+      return;
+    }
+    this.connected = true;
+    this.trigger('connected');
+  }
+
+  /**
+   * Disconnects from the game. The container stops answering messages until it connects again, which lets tests
+   * simulate a lost connection and a reconnect.
+   * @memberof MockContainer
+   */
+  disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * Receives a message from the game. The message is recorded, and answered if the container is connected and has a
+   * handler for it. Answers are sent asynchronously, like a real container. Requests sent with a request id are
+   * answered with the same id.
+   * @param {string} type The type of message.
+   * @param {*} [data={}]
+   * @memberof MockContainer
+   */
+  send(type, data = {}) {
+    if ('string' !== typeof type) {
+      throw 'The event type must be a string';
+    }
+
+    this.sent.push({ type, data });
+
+    if (this.connected && this.handlers[type]) {
+      const correlated =
+        null !== data && 'object' === typeof data && undefined !== data.requestId;
+      const response = correlated
+        ? { requestId: data.requestId, data: this.handlers[type](data.data) }
+        : this.handlers[type](data);
+      Promise.resolve().then(() => this.push(type, response));
+    }
+  }
+
+  /**
+   * Sends a message to the game, and listens for the answer.
+   * @param {string} type The type of message.
+   * @param {function} callback Called with the answer.
+   * @param {*} [data={}]
+   * @param {boolean} [runOnce=false] Whether to stop listening after the first answer.
+   * @memberof MockContainer
+   */
+  fetch(type, callback, data = {}, runOnce = false) {
+    const listener = event => {
+      if (runOnce) {
+        this.off(event.type, listener);
+      }
+      callback(event);
+    };
+    this.on(type, listener);
+    this.send(type, data);
+  }
+
+  /**
+   * Answers a type of message from the game with the same data every time.
+   * @param {string} type The type of message.
+   * @param {*} [data={}] The answer, or a function that returns it.
+   * @param {boolean} [runOnce=false] Whether to only answer once.
+   * @memberof MockContainer
+   */
+  respond(type, data = {}, runOnce = false) {
+    const listener = event => {
+      if (runOnce) {
+        this.off(event.type, listener);
+      }
+      this.send(type, 'function' === typeof data ? data() : data);
+    };
+    this.on(type, listener);
+  }
+
+  /**
+   * Sends a container event to the game, e.g. push('pause', true).
+   * @param {string} type The type of event.
+   * @param {*} data The data of the event.
+   * @memberof MockContainer
+   */
+  push(type, data) {
+    this.trigger({ type, data });
+  }
+
+  /**
+   * Returns the messages the game has sent, optionally only of one type.
+   * @param {string} [type]
+   * @return {Array<{type: string, data: *}>}
+   * @memberof MockContainer
+   */
+  messages(type) {
+    return undefined === type
+      ? this.sent.slice()
+      : this.sent.filter(message => message.type === type);
+  }
+
+  /**
+   * Returns the data of the last message of a type that the game sent.
+   * @param {string} type
+   * @return {*} The data, or undefined if the game has not sent the message.
+   * @memberof MockContainer
+   */
+  lastMessage(type) {
+    const messages = this.messages(type);
+    return messages.length ? messages[messages.length - 1].data : undefined;
+  }
+
+  /**
+   * Forgets every recorded message.
+   * @memberof MockContainer
+   */
+  clearMessages() {
+    this.sent = [];
+  }
+
+  /**
+   * Makes UserData communicate through this container until uninstall is called.
+   * @memberof MockContainer
+   */
+  install() {
+    if (UserData.container === this) {
+      return;
+    }
+    this.previousContainer = UserData.container;
+    UserData.container = this;
+  }
+
+  /**
+   * Makes UserData communicate through the container it used before install was called.
+   * @memberof MockContainer
+   */
+  uninstall() {
+    if (UserData.container === this) {
+      UserData.container = this.previousContainer;
+    }
+    this.previousContainer = null;
+  }
+
+  /**
+   * Removes every listener, disconnects and uninstalls the container.
+   * @memberof MockContainer
+   */
+  destroy() {
+    super.destroy();
+    this.disconnect();
+    this.uninstall();
+  }
+
+  /**
+   * Opens an in-memory database, creating it or changing its structure if the version increases.
+   * @param {object} data The IDBOpen request.
+   * @return {{ success: boolean, result: string }}
+   * @private
+   * @memberof MockContainer
+   */
+  idbOpen({ dbName, dbVersion = null, additions = {}, deletions = {} }) {
+    const existing = this.databases[dbName];
+    const current = existing ? existing.version : 0;
+    let version = current || 1;
+    if (true === dbVersion) {
+      version = current + 1;
+    } else if ('number' === typeof dbVersion) {
+      if (dbVersion < current) {
+        return respond(
+          false,
+          'Failure: Current version is greater than given version'
+        );
+      }
+      version = dbVersion;
+    }
+
+    const database = existing || { version, stores: {} };
+    if (version > current) {
+      const added = additions.stores || [];
+      for (let i = 0; i < added.length; i++) {
+        const { keyPath, autoIncrement = false } = added[i].options || {};
+        database.stores[added[i].storeName] = {
+          keyPath,
+          autoIncrement,
+          nextKey: 1,
+          records: new Map()
+        };
+      }
+
+      const deleted = deletions.stores || [];
+      for (let i = 0; i < deleted.length; i++) {
+        delete database.stores[deleted[i]];
+      }
+    }
+
+    database.version = version;
+    this.databases[dbName] = database;
+    this.openDatabase = dbName;
+    return respond(true, 'Success: IDBOpen');
+  }
+
+  /**
+   * Runs a request against a store of the open database.
+   * @param {string} method The name of the request.
+   * @param {string} storeName
+   * @param {function(object): *} callback Called with the store, and returns the result of the request.
+   * @return {{ success: boolean, result: * }}
+   * @private
+   * @memberof MockContainer
+   */
+  idbStore(method, storeName, callback) {
+    const database = this.databases[this.openDatabase];
+    if (!database) {
+      return respond(false, `Failure: ${method}, no database is open`);
+    }
+
+    const store = database.stores[storeName];
+    if (!store) {
+      return respond(false, `Failure: ${method}, store ${storeName} not found`);
+    }
+
+    const result = callback(store);
+    return respond(true, undefined === result ? `Success: ${method}` : result);
+  }
+
+  /**
+   * Adds or updates a record in a store of the open database.
+   * @param {'IDBAdd' | 'IDBUpdate'} method
+   * @param {object} data The request.
+   * @return {{ success: boolean, result: string }}
+   * @private
+   * @memberof MockContainer
+   */
+  idbWrite(method, { storeName, key = null, value }) {
+    let failure = null;
+    const response = this.idbStore(method, storeName, store => {
+      if (store.keyPath && value && 'object' === typeof value) {
+        key = value[store.keyPath];
+      }
+      if ((null === key || undefined === key) && store.autoIncrement) {
+        key = store.nextKey++;
+      }
+
+      if (null === key || undefined === key) {
+        failure = `Failure: ${method}, no key provided`;
+      } else if ('IDBAdd' === method && store.records.has(key)) {
+        failure = `Failure: ${method}, key ${key} already exists`;
+      } else {
+        store.records.set(key, value);
+      }
+    });
+
+    return failure ? respond(false, failure) : response;
+  }
+}
@@ -0,0 +1,116 @@
+import { MockContainer } from './MockContainer';
+import { BellhopSingleton } from './BellhopSingleton';
+import { Application } from '../Application';
+import { UserData } from '../state/UserData';
+
+describe('MockContainer', () => {
+  let container;
+
+  beforeEach(() => {
+    container = new MockContainer();
+    container.install();
+  });
+
+  afterEach(() => {
+    container.destroy();
+  });
+
+  it('should record messages sent by the game', () => {
+    container.send('features', { sound: true });
+    container.send('loaded');
+
+    expect(container.messages()).to.have.lengthOf(2);
+    expect(container.lastMessage('features')).to.deep.equal({ sound: true });
+    expect(container.lastMessage('loadProgress')).to.be.undefined;
+
+    container.clearMessages();
+    expect(container.messages()).to.have.lengthOf(0);
+  });
+
+  it('should send container events to the game', () => {
+    const received = [];
+    container.on('pause', event => received.push(event.data));
+
+    container.push('pause', true);
+    expect(received).to.deep.equal([true]);
+  });
+
+  it('should be injectable into an Application', done => {
+    const app = new Application({
+      container,
+      features: { sound: true }
+    });
+    expect(container.connected).to.be.true;
+    expect(app.standalone).to.be.false;
+    expect(container.lastMessage('features')).to.include({ sound: true });
+
+    app.state.soundVolume.subscribe(() => {});
+    app.state.ready.subscribe(() => {
+      container.push('soundVolume', 0.3);
+      expect(app.state.soundVolume.value).to.equal(0.3);
+      expect(container.messages('loaded')).to.have.lengthOf(1);
+      app.destroy();
+      done();
+    });
+  });
+
+  it('should replace the container UserData uses until uninstalled', () => {
+    expect(UserData.container).to.equal(container);
+    container.uninstall();
+    expect(UserData.container).to.equal(BellhopSingleton);
+  });
+
+  it('should answer UserData requests from memory', () => {
+    container.connect();
+
+    return UserData.write('highScore', 10)
+      .then(() => UserData.read('highScore'))
+      .then(value => {
+        expect(value).to.equal(10);
+        expect(container.userData).to.deep.equal({ highScore: 10 });
+        return UserData.delete('highScore');
+      })
+      .then(() => UserData.read('highScore'))
+      .then(value => expect(value).to.be.undefined);
+  });
+
+  it('should answer concurrent UserData requests with their own values', () => {
+    container.connect();
+    container.userData = { a: 1, b: 2 };
+
+    const read = () =>
+      Promise.all([UserData.read('a'), UserData.read('b')]).then(values =>
+        expect(values).to.deep.equal([1, 2])
+      );
+
+    return read().then(() => {
+      UserData.rpc.correlate = true;
+      return read();
+    });
+  });
+
+  it('should answer IndexedDB requests from memory', () => {
+    container.connect();
+    const additions = {
+      stores: [{ storeName: 'scores', options: { keyPath: 'level' } }]
+    };
+
+    return UserData.IDBOpen('game', 1, additions)
+      .then(response => expect(response.success).to.be.true)
+      .then(() => UserData.IDBAdd('scores', { level: 1, score: 5 }))
+      .then(() => UserData.IDBAdd('scores', { level: 1, score: 6 }))
+      .then(event => expect(event.data.success).to.be.false)
+      .then(() => UserData.IDBUpdate('scores', 1, { level: 1, score: 7 }))
+      .then(() => UserData.IDBRead('scores', 1))
+      .then(event =>
+        expect(event.data.result).to.deep.equal({ level: 1, score: 7 })
+      )
+      .then(() => UserData.IDBReadAll('scores'))
+      .then(event => expect(event.data.result).to.have.lengthOf(1))
+      .then(() => UserData.IDBOpen('game', 0))
+      .then(response => expect(response.success).to.be.false)
+      .then(() => UserData.IDBClose())
+      .then(() => UserData.IDBRead('scores', 1))
+      .then(event => expect(event.data.success).to.be.false);
+  });
+});
@@ -0,0 +1,280 @@
+import { Debugger } from '../debug/Debugger';
+import { Schema } from '../state/Schema';
+
+let nextId = 1;
+
+/**
+ * Creates an id that is unique within the page.
+ * @return {string}
+ * @private
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${nextId++}`;
+}
+
+/**
+ * Sends requests to the container and matches them with its replies. Containers that echo request ids are sent each
+ * request as { requestId, data } and answer with { requestId, data }, so any number of requests can be waiting at
+ * once. Other containers answer with the event name only, so only one request of each type is sent at a time and the
+ * rest wait their turn. Requests that are not answered in time are sent again, waiting longer after each attempt.
+ * After a request to a container without request ids fails, the next request of its type waits a little longer, so a
+ * late reply to the failed request is ignored instead of answering it.
+ * @export
+ * @class RpcClient
+ */
+export class RpcClient {
+  /**
+   * Creates an instance of RpcClient.
+   * @param {Bellhop} container The connection to the container.
+   * @param {object} [options={}]
+   * @param {number} [options.timeout=100] Milliseconds to wait for the first reply before sending the request again.
+   * @param {number} [options.retries=2] The number of times a request is sent again before it fails.
+   * @param {number} [options.backoff=2] The amount the timeout is multiplied by after each attempt.
+   * @param {boolean} [options.correlate=false] Whether the container echoes request ids in its replies.
+   * @param {number} [options.grace=500] Milliseconds to wait after a request without an id fails before the next
+   * request of its type is sent. Replies that arrive meanwhile are ignored.
+   * @memberof RpcClient
+   */
+  constructor(
+    container,
+    {
+      timeout = 100,
+      retries = 2,
+      backoff = 2,
+      correlate = false,
+      grace = 500
+    } = {}
+  ) {
+    this.container = container;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.backoff = backoff;
+    this.correlate = correlate;
+    this.grace = grace;
+    this.pending = [];
+    this.listeners = {};
+    this.graceTimers = {};
+  }
+
+  /**
+   * Sends a request to the container.
+   * @param {string} type The type of the request, which the container replies with.
+   * @param {*} [data] The data of the request.
+   * @param {object} [options={}] Options for this request, overriding the client's options.
+   * @param {number} [options.timeout]
+   * @param {number} [options.retries]
+   * @param {number} [options.backoff]
+   * @param {SchemaDescriptor} [options.schema] The schema replies must match. Replies that do not are ignored.
+   * @return {Promise<{type: string, data: *}>} Resolves with the reply, or rejects with 'No Response' if every
+   * attempt times out.
+   * @memberof RpcClient
+   */
+  request(type, data, options = {}) {
+    return new Promise((resolve, reject) => {
+      const request = {
+        id: createId(),
+        type,
+        data,
+        schema: options.schema,
+        timeout: undefined === options.timeout ? this.timeout : options.timeout,
+        retries: undefined === options.retries ? this.retries : options.retries,
+        backoff: undefined === options.backoff ? this.backoff : options.backoff,
+        correlated: this.correlate,
+        attempt: 0,
+        sent: false,
+        timer: null,
+        resolve,
+        reject
+      };
+
+      this.listen(type);
+      const waiting =
+        !request.correlated &&
+        (undefined !== this.graceTimers[type] || this.findUncorrelated(type));
+      this.pending.push(request);
+      if (!waiting) {
+        this.send(request);
+      }
+    });
+  }
+
+  /**
+   * Sends a request to the container, and starts waiting for the reply.
+   * @param {object} request
+   * @private
+   * @memberof RpcClient
+   */
+  send(request) {
+    request.sent = true;
+    request.timer = setTimeout(
+      () => this.retry(request),
+      request.timeout * Math.pow(request.backoff, request.attempt)
+    );
+    this.container.send(
+      request.type,
+      request.correlated
+        ? { requestId: request.id, data: request.data }
+        : request.data
+    );
+  }
+
+  /**
+   * Sends a request again after it timed out, or fails it if it has no attempts left.
+   * @param {object} request
+   * @private
+   * @memberof RpcClient
+   */
+  retry(request) {
+    if (request.attempt < request.retries) {
+      request.attempt++;
+      this.send(request);
+      return;
+    }
+
+    this.finish(request, true);
+    request.reject('No Response');
+  }
+
+  /**
+   * Matches a reply from the container with the request it answers, and resolves the request if the reply matches
+   * the request schema.
+   * @param {{type: string, data: *}} event
+   * @private
+   * @memberof RpcClient
+   */
+  receive(event) {
+    const reply = event.data;
+    let request = null;
+    let data = reply;
+    if (reply && 'object' === typeof reply && undefined !== reply.requestId) {
+      request = this.pending.find(
+        pending => pending.correlated && pending.id === reply.requestId
+      );
+      data = reply.data;
+    }
+    if (!request) {
+      request = this.findUncorrelated(event.type);
+      data = reply;
+    }
+    if (!request || !request.sent) {
+      return;
+    }
+
+    const { valid, error } = Schema.validate(request.schema, data);
+    if (!valid) {
+      Debugger.log(
+        'warn',
+        `[Springroll] Ignored invalid ${event.type} response from the container: ${error}`
+      );
+      return;
+    }
+
+    this.finish(request);
+    request.resolve({ type: event.type, data });
+  }
+
+  /**
+   * Stops waiting for a request, sends the next request of the same type that is waiting its turn and stops
+   * listening for replies that no request is waiting for. The next request waits for the grace period if the request
+   * failed, because the container can still reply to it.
+   * @param {object} request
+   * @param {boolean} [failed=false] Whether the request timed out.
+   * @private
+   * @memberof RpcClient
+   */
+  finish(request, failed = false) {
+    clearTimeout(request.timer);
+    this.pending.splice(this.pending.indexOf(request), 1);
+
+    if (!request.correlated) {
+      if (failed) {
+        this.startGrace(request.type);
+      } else {
+        this.sendNext(request.type);
+      }
+    }
+
+    if (!this.pending.some(pending => pending.type === request.type)) {
+      this.container.off(request.type, this.listeners[request.type]);
+      delete this.listeners[request.type];
+    }
+  }
+
+  /**
+   * Holds back requests of a type without ids until the grace period ends, then sends the next one.
+   * @param {string} type
+   * @private
+   * @memberof RpcClient
+   */
+  startGrace(type) {
+    clearTimeout(this.graceTimers[type]);
+    this.graceTimers[type] = setTimeout(() => {
+      delete this.graceTimers[type];
+      this.sendNext(type);
+    }, this.grace);
+  }
+
+  /**
+   * Sends the oldest request of a type without an id, if it is waiting its turn.
+   * @param {string} type
+   * @private
+   * @memberof RpcClient
+   */
+  sendNext(type) {
+    const next = this.findUncorrelated(type);
+    if (next && !next.sent) {
+      this.send(next);
+    }
+  }
+
+  /**
+   * Listens for replies of a type, if the client is not already listening.
+   * @param {string} type
+   * @private
+   * @memberof RpcClient
+   */
+  listen(type) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = event => this.receive(event);
+      this.container.on(type, this.listeners[type]);
+    }
+  }
+
+  /**
+   * Finds the oldest request of a type that is matched by event name.
+   * @param {string} type
+   * @return {object | undefined}
+   * @private
+   * @memberof RpcClient
+   */
+  findUncorrelated(type) {
+    return this.pending.find(
+      pending => !pending.correlated && pending.type === type
+    );
+  }
+
+  /**
+   * Rejects every waiting request with 'Cancelled', and stops listening for replies.
+   * @memberof RpcClient
+   */
+  destroy() {
+    const pending = this.pending;
+    this.pending = [];
+    for (let i = 0; i < pending.length; i++) {
+      clearTimeout(pending[i].timer);
+      pending[i].reject('Cancelled');
+    }
+
+    const types = Object.keys(this.listeners);
+    for (let i = 0; i < types.length; i++) {
+      this.container.off(types[i], this.listeners[types[i]]);
+    }
+    this.listeners = {};
+
+    const graceTypes = Object.keys(this.graceTimers);
+    for (let i = 0; i < graceTypes.length; i++) {
+      clearTimeout(this.graceTimers[graceTypes[i]]);
+    }
+    this.graceTimers = {};
+  }
+}
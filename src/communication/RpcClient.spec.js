@@ -0,0 +1,129 @@
+import { RpcClient } from './RpcClient';
+import { MockContainer } from './MockContainer';
+import { Debugger } from '../debug/Debugger';
+import Sinon from 'sinon';
+
+describe('RpcClient', () => {
+  let container;
+  let client;
+
+  beforeEach(() => {
+    container = new MockContainer();
+    container.connect();
+  });
+
+  afterEach(() => {
+    client.destroy();
+    container.destroy();
+  });
+
+  it('should match replies to requests by id', () => {
+    client = new RpcClient(container, { correlate: true });
+    const first = client.request('userDataRead', 'a');
+    const second = client.request('userDataRead', 'b');
+
+    const sent = container.messages('userDataRead').map(message => message.data);
+    expect(sent.map(request => request.data)).to.deep.equal(['a', 'b']);
+    expect(sent[0].requestId).to.not.equal(sent[1].requestId);
+
+    // answer out of order
+    container.push('userDataRead', { requestId: sent[1].requestId, data: 2 });
+    container.push('userDataRead', { requestId: sent[0].requestId, data: 1 });
+
+    return Promise.all([first, second]).then(([a, b]) => {
+      expect(a).to.deep.equal({ type: 'userDataRead', data: 1 });
+      expect(b.data).to.equal(2);
+    });
+  });
+
+  it('should send one request of each type at a time to containers without ids', () => {
+    client = new RpcClient(container);
+    const first = client.request('userDataRead', 'a');
+    const second = client.request('userDataRead', 'b');
+    client.request('userDataWrite', { name: 'c', value: 3 });
+
+    expect(container.messages().map(message => message.data)).to.deep.equal([
+      'a',
+      { name: 'c', value: 3 }
+    ]);
+
+    container.push('userDataRead', 1);
+    expect(container.lastMessage('userDataRead')).to.equal('b');
+    container.push('userDataRead', 2);
+
+    return Promise.all([first, second]).then(([a, b]) => {
+      expect(a.data).to.equal(1);
+      expect(b.data).to.equal(2);
+    });
+  });
+
+  it('should resend requests with backoff before failing', () => {
+    const clock = Sinon.useFakeTimers(Date.now());
+    client = new RpcClient(container, { timeout: 100, retries: 2, backoff: 2 });
+    const request = client.request('userDataRead', 'a');
+
+    clock.tick(99);
+    expect(container.messages('userDataRead')).to.have.lengthOf(1);
+    clock.tick(1);
+    expect(container.messages('userDataRead')).to.have.lengthOf(2);
+    clock.tick(200);
+    expect(container.messages('userDataRead')).to.have.lengthOf(3);
+    clock.tick(400);
+    clock.restore();
+
+    return request.then(
+      () => {
+        throw new Error('Expected the request to fail');
+      },
+      error => {
+        expect(error).to.equal('No Response');
+        expect(container._listeners.userDataRead).to.be.empty;
+      }
+    );
+  });
+
+  it('should ignore late replies to requests without ids that failed', () => {
+    const clock = Sinon.useFakeTimers(Date.now());
+    client = new RpcClient(container, { timeout: 100, retries: 0, grace: 500 });
+    const failed = client.request('userDataRead', 'a').catch(error => error);
+    clock.tick(100);
+    const next = client.request('userDataRead', 'b');
+
+    // the container answers the failed request late
+    container.push('userDataRead', 'value of a');
+    expect(container.messages('userDataRead')).to.have.lengthOf(1);
+
+    clock.tick(500);
+    expect(container.lastMessage('userDataRead')).to.equal('b');
+    container.push('userDataRead', 'value of b');
+    clock.restore();
+
+    return Promise.all([failed, next]).then(([error, reply]) => {
+      expect(error).to.equal('No Response');
+      expect(reply.data).to.equal('value of b');
+    });
+  });
+
+  it('should ignore replies that do not match the schema', () => {
+    Sinon.stub(Debugger, 'log');
+    client = new RpcClient(container);
+    const request = client.request('IDBRead', {}, {
+      schema: { type: 'object', properties: { success: { type: 'boolean' } } }
+    });
+
+    container.push('IDBRead', 'forged');
+    container.push('IDBRead', { success: true, result: 'item' });
+    expect(Debugger.log.calledOnce).to.be.true;
+    Debugger.log.restore();
+
+    return request.then(reply => expect(reply.data.result).to.equal('item'));
+  });
+
+  it('should reject waiting requests when destroyed', () => {
+    client = new RpcClient(container);
+    const request = client.request('userDataRead', 'a');
+    client.destroy();
+
+    return request.catch(error => expect(error).to.equal('Cancelled'));
+  });
+});
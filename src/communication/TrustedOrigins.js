@@ -0,0 +1,108 @@
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * A list of the origins a game accepts container messages from. Guarding a Bellhop connection makes it ignore
+ * messages from every other origin, so pages that embed the game without being its container can not control it.
+ * @export
+ * @class TrustedOrigins
+ */
+export class TrustedOrigins {
+  /**
+   * Creates an instance of TrustedOrigins.
+   * @param {Array<string | RegExp>} origins The trusted origins, e.g. 'https://games.example.com'. Strings must match
+   * the origin exactly, and regular expressions are tested against it.
+   * @memberof TrustedOrigins
+   */
+  constructor(origins) {
+    this.origins = origins.slice();
+    this.container = null;
+    this.receive = null;
+  }
+
+  /**
+   * The origin messages to the container should be delivered to. This is the trusted origin when there is exactly
+   * one trusted origin string, and any origin otherwise.
+   * @readonly
+   * @returns {string}
+   * @memberof TrustedOrigins
+   */
+  get targetOrigin() {
+    return 1 === this.origins.length && 'string' === typeof this.origins[0]
+      ? this.origins[0]
+      : '*';
+  }
+
+  /**
+   * Whether messages from an origin are trusted.
+   * @param {string} origin
+   * @return {boolean}
+   * @memberof TrustedOrigins
+   */
+  allows(origin) {
+    for (let i = 0; i < this.origins.length; i++) {
+      const trusted = this.origins[i];
+      if (trusted instanceof RegExp ? trusted.test(origin) : trusted === origin) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Makes a Bellhop connection ignore messages from untrusted origins until unguard is called. Containers that do not
+   * receive window messages, like MockContainer, are not changed.
+   * @param {Bellhop} container
+   * @memberof TrustedOrigins
+   */
+  guard(container) {
+    if (this.container || 'function' !== typeof container.receive) {
+      return;
+    }
+
+    this.container = container;
+    this.receive = container.receive;
+    container.receive = event => {
+      if (this.allows(event.origin)) {
+        this.receive(event);
+        return;
+      }
+
+      Debugger.log(
+        'warn',
+        `[Springroll] Ignored a message from the untrusted origin ${event.origin}`
+      );
+    };
+    this.swapListener(this.receive, container.receive);
+  }
+
+  /**
+   * Makes the guarded connection accept messages from every origin again.
+   * @memberof TrustedOrigins
+   */
+  unguard() {
+    if (!this.container) {
+      return;
+    }
+
+    const guarded = this.container.receive;
+    this.container.receive = this.receive;
+    this.swapListener(guarded, this.receive);
+    this.container = null;
+    this.receive = null;
+  }
+
+  /**
+   * Replaces the message listener of a connection that is already listening for window messages. Connections that
+   * are not listening add their receive function when they connect.
+   * @param {function} from The listener to remove.
+   * @param {function} to The listener to add.
+   * @private
+   * @memberof TrustedOrigins
+   */
+  swapListener(from, to) {
+    if (this.container.connected || this.container.connecting) {
+      window.removeEventListener('message', from);
+      window.addEventListener('message', to);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { Bellhop } from 'bellhop-iframe';
+import { TrustedOrigins } from './TrustedOrigins';
+import { Debugger } from '../debug/Debugger';
+import Sinon from 'sinon';
+
+const trusted = 'https://container.example.com';
+const untrusted = 'https://elsewhere.example.com';
+
+/**
+ * Creates a message event from the parent window.
+ * @param {string} origin
+ * @param {*} data
+ * @return {object}
+ */
+function message(origin, data) {
+  return { source: window.parent, origin, data };
+}
+
+describe('TrustedOrigins', () => {
+  let bellhop;
+
+  beforeEach(() => {
+    bellhop = new Bellhop();
+    Sinon.stub(Debugger, 'log');
+  });
+
+  afterEach(() => {
+    bellhop.destroy();
+    Debugger.log.restore();
+  });
+
+  it('should match origin strings exactly and test regular expressions', () => {
+    const origins = new TrustedOrigins([trusted, /^https:\/\/\w+\.games\.org$/]);
+
+    expect(origins.allows(trusted)).to.be.true;
+    expect(origins.allows(trusted + ':8080')).to.be.false;
+    expect(origins.allows('https://play.games.org')).to.be.true;
+    expect(origins.allows(untrusted)).to.be.false;
+  });
+
+  it('should only target a single trusted origin string', () => {
+    expect(new TrustedOrigins([trusted]).targetOrigin).to.equal(trusted);
+    expect(new TrustedOrigins([trusted, untrusted]).targetOrigin).to.equal('*');
+    expect(new TrustedOrigins([/games/]).targetOrigin).to.equal('*');
+  });
+
+  it('should ignore messages from untrusted origins until unguarded', () => {
+    const origins = new TrustedOrigins([trusted]);
+    const listener = Sinon.spy();
+    bellhop.connected = true;
+    bellhop.on('pause', listener);
+    const data = JSON.stringify({ type: 'pause', data: true });
+
+    origins.guard(bellhop);
+    bellhop.receive(message(untrusted, data));
+    expect(listener.called).to.be.false;
+    expect(Debugger.log.calledWith('warn')).to.be.true;
+
+    bellhop.receive(message(trusted, data));
+    expect(listener.calledOnce).to.be.true;
+
+    origins.unguard();
+    bellhop.receive(message(untrusted, data));
+    expect(listener.calledTwice).to.be.true;
+  });
+
+  it('should replace the window listener of a connection that is listening', () => {
+    const origins = new TrustedOrigins([trusted]);
+    bellhop.connect();
+    const receive = bellhop.receive;
+    Sinon.spy(window, 'addEventListener');
+    Sinon.spy(window, 'removeEventListener');
+
+    origins.guard(bellhop);
+    const guarded = bellhop.receive;
+    expect(window.removeEventListener.calledWith('message', receive)).to.be.true;
+    expect(window.addEventListener.calledWith('message', guarded)).to.be.true;
+
+    origins.unguard();
+    expect(bellhop.receive).to.equal(receive);
+    expect(window.removeEventListener.calledWith('message', guarded)).to.be.true;
+    expect(window.addEventListener.calledWith('message', receive)).to.be.true;
+
+    window.addEventListener.restore();
+    window.removeEventListener.restore();
+  });
+});
@@ -1 +1,5 @@
 export * from './BellhopSingleton';
+export * from './MockContainer';
+export * from './ConnectionMonitor';
+export * from './TrustedOrigins';
+export * from './RpcClient';
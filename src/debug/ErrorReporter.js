@@ -0,0 +1,146 @@
+/**
+ * @typedef {object} ErrorReport
+ * @property {'error' | 'unhandledrejection' | 'plugin'} type Where the error was caught
+ * @property {string} message The error message
+ * @property {string} [stack] The error stack trace, if there is one
+ * @property {string} [plugin] The name of the plugin the error came from, if it is known
+ * @property {object} context Extra information attached by the game when the error was reported
+ */
+
+/**
+ * Captures uncaught errors and unhandled promise rejections, and forwards them to the container as `error` events so
+ * crashes can be tracked outside of the game. Identical errors are only reported once within the duplicate interval.
+ * @export
+ * @class ErrorReporter
+ */
+export class ErrorReporter {
+  /**
+   * Creates an instance of ErrorReporter.
+   * @param {Bellhop} container The container connection to send errors to.
+   * @param {object} [options={}]
+   * @param {number} [options.duplicateInterval=5000] Milliseconds an error is ignored for after it has been reported.
+   * @memberof ErrorReporter
+   */
+  constructor(container, { duplicateInterval = 5000 } = {}) {
+    this.container = container;
+    this.duplicateInterval = duplicateInterval;
+    this.contextProviders = [];
+    this.lastReported = {};
+    this.started = false;
+
+    this.onError = event =>
+      this.report(undefined !== event.error ? event.error : event.message, {
+        type: 'error'
+      });
+    this.onUnhandledRejection = event =>
+      this.report(event.reason, { type: 'unhandledrejection' });
+  }
+
+  /**
+   * Starts listening for uncaught errors and unhandled rejections on the window.
+   * @memberof ErrorReporter
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    window.addEventListener('error', this.onError);
+    window.addEventListener('unhandledrejection', this.onUnhandledRejection);
+  }
+
+  /**
+   * Stops listening for uncaught errors and unhandled rejections.
+   * @memberof ErrorReporter
+   */
+  stop() {
+    this.started = false;
+    window.removeEventListener('error', this.onError);
+    window.removeEventListener('unhandledrejection', this.onUnhandledRejection);
+  }
+
+  /**
+   * Adds a function that is called whenever an error is reported. The object it returns is merged into the context
+   * of the report, which allows games to attach information such as the current level.
+   * @param {function(ErrorReport): object} provider
+   * @memberof ErrorReporter
+   */
+  addContext(provider) {
+    this.contextProviders.push(provider);
+  }
+
+  /**
+   * Removes a context function.
+   * @param {function(ErrorReport): object} provider
+   * @memberof ErrorReporter
+   */
+  removeContext(provider) {
+    this.contextProviders = this.contextProviders.filter(
+      listener => listener !== provider
+    );
+  }
+
+  /**
+   * Sends an error to the container, unless the same error was reported within the duplicate interval.
+   * @param {*} error The error, which can be an Error, a string or any other value.
+   * @param {object} [details={}]
+   * @param {string} [details.type='error'] Where the error was caught.
+   * @param {string} [details.plugin] The name of the plugin the error came from.
+   * @return {ErrorReport | null} The report that was sent, or null if it was a duplicate.
+   * @memberof ErrorReporter
+   */
+  report(error, { type = 'error', plugin } = {}) {
+    const report = Object.assign(
+      { type, plugin, context: {} },
+      ErrorReporter.normalize(error)
+    );
+
+    const key = `${report.plugin}:${report.message}:${report.stack}`;
+    const now = Date.now();
+    if (
+      undefined !== this.lastReported[key] &&
+      now - this.lastReported[key] < this.duplicateInterval
+    ) {
+      return null;
+    }
+    this.lastReported[key] = now;
+
+    for (let i = 0; i < this.contextProviders.length; i++) {
+      try {
+        Object.assign(report.context, this.contextProviders[i](report));
+      } catch (e) {
+        report.context.contextError = ErrorReporter.normalize(e).message;
+      }
+    }
+
+    this.container.send('error', report);
+    return report;
+  }
+
+  /**
+   * Converts any thrown value into a message and stack trace.
+   * @param {*} error
+   * @return {{ message: string, stack: string | undefined }}
+   * @static
+   * @memberof ErrorReporter
+   */
+  static normalize(error) {
+    if (error instanceof Error) {
+      return { message: error.message, stack: error.stack };
+    }
+
+    if (null !== error && 'object' === typeof error) {
+      try {
+        const message =
+          undefined !== error.message
+            ? String(error.message)
+            : JSON.stringify(error);
+        return { message, stack: error.stack };
+      } catch (e) {
+        return { message: String(error), stack: undefined };
+      }
+    }
+
+    return { message: String(error), stack: undefined };
+  }
+}
@@ -0,0 +1,103 @@
+import { ErrorReporter } from './ErrorReporter';
+import Sinon from 'sinon';
+
+/**
+ * Creates a container stub that records sent events.
+ * @return {object}
+ */
+function createContainer() {
+  return { send: Sinon.spy() };
+}
+
+describe('ErrorReporter', () => {
+  it('should send normalized errors to the container', () => {
+    const container = createContainer();
+    const reporter = new ErrorReporter(container);
+    const error = new Error('broken');
+
+    reporter.report(error, { plugin: 'sound' });
+
+    expect(container.send.calledOnce).to.be.true;
+    expect(container.send.firstCall.args[0]).to.equal('error');
+    expect(container.send.firstCall.args[1]).to.deep.equal({
+      type: 'error',
+      plugin: 'sound',
+      message: 'broken',
+      stack: error.stack,
+      context: {}
+    });
+  });
+
+  it('should normalize values that are not errors', () => {
+    expect(ErrorReporter.normalize('oops')).to.deep.equal({
+      message: 'oops',
+      stack: undefined
+    });
+    expect(ErrorReporter.normalize({ code: 4 }).message).to.equal('{"code":4}');
+    expect(ErrorReporter.normalize(undefined).message).to.equal('undefined');
+  });
+
+  it('should not send duplicates within the duplicate interval', () => {
+    const container = createContainer();
+    const reporter = new ErrorReporter(container, { duplicateInterval: 1000 });
+    const clock = Sinon.useFakeTimers(Date.now());
+
+    const error = new Error('again');
+    expect(reporter.report(error)).to.not.be.null;
+    expect(reporter.report(error)).to.be.null;
+    reporter.report(new Error('different'));
+    expect(container.send.callCount).to.equal(2);
+
+    clock.tick(1001);
+    expect(reporter.report(error)).to.not.be.null;
+    expect(container.send.callCount).to.equal(3);
+    clock.restore();
+  });
+
+  it('should merge context from context providers', () => {
+    const container = createContainer();
+    const reporter = new ErrorReporter(container);
+    const level = () => ({ level: 3 });
+    reporter.addContext(level);
+    reporter.addContext(report => ({ type: report.type }));
+    reporter.addContext(() => {
+      throw new Error('no context');
+    });
+
+    const report = reporter.report('first');
+    expect(report.context).to.deep.equal({
+      level: 3,
+      type: 'error',
+      contextError: 'no context'
+    });
+
+    reporter.removeContext(level);
+    expect(reporter.report('second').context.level).to.be.undefined;
+  });
+
+  it('should report uncaught errors and rejections until stopped', () => {
+    const container = createContainer();
+    const reporter = new ErrorReporter(container);
+    reporter.start();
+
+    const error = new Error('uncaught');
+    const errorEvent = new Event('error');
+    errorEvent.error = error;
+    window.dispatchEvent(errorEvent);
+
+    const rejection = new Event('unhandledrejection');
+    rejection.reason = 'rejected';
+    window.dispatchEvent(rejection);
+
+    expect(container.send.callCount).to.equal(2);
+    expect(container.send.firstCall.args[1].message).to.equal('uncaught');
+    expect(container.send.secondCall.args[1]).to.include({
+      type: 'unhandledrejection',
+      message: 'rejected'
+    });
+
+    reporter.stop();
+    window.dispatchEvent(errorEvent);
+    expect(container.send.callCount).to.equal(2);
+  });
+});
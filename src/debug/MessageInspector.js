@@ -0,0 +1,268 @@
+import { Debugger } from './Debugger';
+
+/**
+ * @typedef {object} InspectedMessage
+ * @property {'in' | 'out'} direction Whether the message came from the container or was sent to it
+ * @property {string} type The type of the message
+ * @property {*} data The data of the message
+ * @property {number} timestamp When the message was sent or received, in milliseconds since the epoch
+ */
+
+/**
+ * Records every message sent to and received from the container, for debugging container integration. Recorded
+ * messages are logged through the Debugger, can be queried or dumped as JSON, and can be shown in a DOM panel.
+ * @export
+ * @class MessageInspector
+ */
+export class MessageInspector {
+  /**
+   * Creates an instance of MessageInspector.
+   * @param {Bellhop} container The connection to the container.
+   * @param {object} [options={}]
+   * @param {number} [options.maxEntries=500] The most messages that are kept. The oldest messages are dropped first.
+   * @param {'log' | 'general' | 'debug' | 'info' | 'warn' | 'error' | false} [options.log='debug'] The Debugger level
+   * messages are logged at, or false to only record them.
+   * @memberof MessageInspector
+   */
+  constructor(container, { maxEntries = 500, log = 'debug' } = {}) {
+    this.container = container;
+    this.maxEntries = maxEntries;
+    this.log = log;
+    this.entries = [];
+    this.original = null;
+    this.element = null;
+    this.list = null;
+    this.filter = { text: '', direction: '' };
+  }
+
+  /**
+   * Whether the inspector is recording messages.
+   * @readonly
+   * @returns {boolean}
+   * @memberof MessageInspector
+   */
+  get recording() {
+    return null !== this.original;
+  }
+
+  /**
+   * Starts recording the messages the container sends and receives.
+   * @memberof MessageInspector
+   */
+  start() {
+    if (this.recording) {
+      return;
+    }
+
+    const container = this.container;
+    const { send, trigger } = container;
+    this.original = { send, trigger };
+
+    container.send = (type, data) => {
+      this.record('out', type, data);
+      return send.call(container, type, data);
+    };
+    container.trigger = (event, data) => {
+      if ('string' === typeof event) {
+        this.record('in', event, data);
+      } else {
+        this.record('in', event.type, event.data);
+      }
+      return trigger.call(container, event, data);
+    };
+  }
+
+  /**
+   * Stops recording messages. Recorded messages are kept.
+   * @memberof MessageInspector
+   */
+  stop() {
+    if (!this.recording) {
+      return;
+    }
+
+    this.container.send = this.original.send;
+    this.container.trigger = this.original.trigger;
+    this.original = null;
+  }
+
+  /**
+   * Adds a message to the log.
+   * @param {'in' | 'out'} direction
+   * @param {string} type
+   * @param {*} data
+   * @private
+   * @memberof MessageInspector
+   */
+  record(direction, type, data) {
+    const entry = { direction, type, data, timestamp: Date.now() };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    if (this.log) {
+      Debugger.log(
+        this.log,
+        `[Springroll] ${'in' === direction ? '<-' : '->'} ${type}`,
+        data
+      );
+    }
+
+    this.render();
+  }
+
+  /**
+   * Returns the recorded messages that match a query, oldest first.
+   * @param {object} [query={}]
+   * @param {'in' | 'out'} [query.direction] Only messages in this direction.
+   * @param {string | RegExp} [query.type] Only messages of this type, or with a type that matches.
+   * @param {number} [query.since] Only messages recorded at or after this time.
+   * @param {number} [query.until] Only messages recorded at or before this time.
+   * @return {InspectedMessage[]}
+   * @memberof MessageInspector
+   */
+  query({ direction, type, since, until } = {}) {
+    return this.entries.filter(
+      entry =>
+        (undefined === direction || entry.direction === direction) &&
+        (undefined === type ||
+          (type instanceof RegExp ? type.test(entry.type) : entry.type === type)) &&
+        (undefined === since || entry.timestamp >= since) &&
+        (undefined === until || entry.timestamp <= until)
+    );
+  }
+
+  /**
+   * Forgets every recorded message.
+   * @memberof MessageInspector
+   */
+  clear() {
+    this.entries = [];
+    this.render();
+  }
+
+  /**
+   * Returns the recorded messages as a JSON string, e.g. to attach to a bug report.
+   * @param {object} [query] Only dump the messages that match this query.
+   * @return {string}
+   * @memberof MessageInspector
+   */
+  dump(query) {
+    return JSON.stringify(this.query(query), null, 2);
+  }
+
+  /**
+   * Creates a panel that lists the recorded messages and adds it to the page. The list can be filtered by direction
+   * and by text in the message type.
+   * @param {HTMLElement} [parent=document.body] The element to add the panel to.
+   * @memberof MessageInspector
+   */
+  mount(parent = document.body) {
+    if (this.element) {
+      return;
+    }
+
+    this.element = document.createElement('div');
+    this.element.className = 'springroll-message-inspector';
+    this.element.style.position = 'fixed';
+    this.element.style.bottom = '0';
+    this.element.style.left = '0';
+    this.element.style.zIndex = '10000';
+    this.element.style.width = '360px';
+    this.element.style.padding = '4px';
+    this.element.style.font = '12px monospace';
+    this.element.style.color = '#FFFFFF';
+    this.element.style.background = 'rgba(0, 0, 0, 0.8)';
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.name = 'type';
+    text.placeholder = 'Filter by type';
+    text.addEventListener('input', () => {
+      this.filter.text = text.value;
+      this.render();
+    });
+
+    const direction = document.createElement('select');
+    direction.name = 'direction';
+    const directions = [['', 'all'], ['in', 'in'], ['out', 'out']];
+    for (let i = 0; i < directions.length; i++) {
+      const option = document.createElement('option');
+      option.value = directions[i][0];
+      option.textContent = directions[i][1];
+      direction.appendChild(option);
+    }
+    direction.addEventListener('change', () => {
+      this.filter.direction = direction.value;
+      this.render();
+    });
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.textContent = 'Clear';
+    clear.addEventListener('click', () => this.clear());
+
+    this.list = document.createElement('ol');
+    this.list.style.maxHeight = '200px';
+    this.list.style.overflowY = 'auto';
+    this.list.style.margin = '4px 0 0';
+    this.list.style.paddingLeft = '0';
+    this.list.style.listStyle = 'none';
+
+    this.element.appendChild(text);
+    this.element.appendChild(direction);
+    this.element.appendChild(clear);
+    this.element.appendChild(this.list);
+    parent.appendChild(this.element);
+    this.render();
+  }
+
+  /**
+   * Shows the recorded messages that match the panel filters in the panel.
+   * @private
+   * @memberof MessageInspector
+   */
+  render() {
+    if (!this.list) {
+      return;
+    }
+
+    const text = this.filter.text.toLowerCase();
+    const entries = this.query({
+      direction: this.filter.direction || undefined
+    }).filter(entry => -1 !== entry.type.toLowerCase().indexOf(text));
+
+    this.list.innerHTML = '';
+    for (let i = 0; i < entries.length; i++) {
+      const { direction, type, data, timestamp } = entries[i];
+      const item = document.createElement('li');
+      item.textContent = `${new Date(timestamp).toISOString().slice(11, 23)} ${
+        'in' === direction ? '<-' : '->'
+      } ${type} ${undefined === data ? '' : JSON.stringify(data)}`;
+      this.list.appendChild(item);
+    }
+  }
+
+  /**
+   * Removes the panel from the page.
+   * @memberof MessageInspector
+   */
+  unmount() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.list = null;
+  }
+
+  /**
+   * Stops recording, removes the panel and forgets every recorded message.
+   * @memberof MessageInspector
+   */
+  destroy() {
+    this.stop();
+    this.unmount();
+    this.entries = [];
+  }
+}
@@ -0,0 +1,116 @@
+import { MessageInspector } from './MessageInspector';
+import { Debugger } from './Debugger';
+import { MockContainer } from '../communication/MockContainer';
+import Sinon from 'sinon';
+
+describe('MessageInspector', () => {
+  let container;
+  let inspector;
+
+  beforeEach(() => {
+    container = new MockContainer();
+    inspector = new MessageInspector(container, { log: false });
+    inspector.start();
+  });
+
+  afterEach(() => {
+    inspector.destroy();
+    container.destroy();
+  });
+
+  it('should record messages in both directions', () => {
+    container.connect();
+    container.send('features', { sound: true });
+    container.push('pause', true);
+
+    expect(
+      inspector.entries.map(({ direction, type, data }) => [
+        direction,
+        type,
+        data
+      ])
+    ).to.deep.equal([
+      ['in', 'connected', undefined],
+      ['out', 'features', { sound: true }],
+      ['in', 'pause', true]
+    ]);
+    expect(inspector.entries[1].timestamp).to.be.a('number');
+  });
+
+  it('should stop recording when stopped', () => {
+    inspector.stop();
+    expect(inspector.recording).to.be.false;
+
+    container.send('features', {});
+    expect(inspector.entries).to.have.lengthOf(0);
+    expect(container.messages('features')).to.have.lengthOf(1);
+  });
+
+  it('should query and dump the recorded messages', () => {
+    container.send('userDataRead', 'a');
+    container.send('userDataWrite', { name: 'a', value: 1 });
+    container.push('pause', false);
+
+    expect(inspector.query({ direction: 'in' })).to.have.lengthOf(1);
+    expect(inspector.query({ type: /^userData/ })).to.have.lengthOf(2);
+    expect(inspector.query({ type: 'userDataRead' })[0].data).to.equal('a');
+    expect(inspector.query({ since: Date.now() + 1000 })).to.have.lengthOf(0);
+    expect(JSON.parse(inspector.dump({ direction: 'out' }))).to.have.lengthOf(2);
+
+    inspector.clear();
+    expect(inspector.query()).to.have.lengthOf(0);
+  });
+
+  it('should only keep the most recent messages', () => {
+    inspector.maxEntries = 2;
+    container.send('a');
+    container.send('b');
+    container.send('c');
+
+    expect(inspector.entries.map(entry => entry.type)).to.deep.equal([
+      'b',
+      'c'
+    ]);
+  });
+
+  it('should log messages through the Debugger', () => {
+    Sinon.stub(Debugger, 'log');
+    inspector.log = 'info';
+    container.send('loaded', {});
+    const logged = Debugger.log.firstCall.args;
+    Debugger.log.restore();
+
+    expect(logged).to.deep.equal(['info', '[Springroll] -> loaded', {}]);
+  });
+
+  it('should show the recorded messages in a filterable panel', () => {
+    container.send('features', {});
+    container.push('pause', true);
+    inspector.mount();
+
+    const items = () => inspector.element.querySelectorAll('li');
+    expect(document.querySelector('.springroll-message-inspector')).to.equal(
+      inspector.element
+    );
+    expect(items()).to.have.lengthOf(2);
+
+    container.send('loaded');
+    expect(items()).to.have.lengthOf(3);
+
+    const direction = inspector.element.querySelector('[name="direction"]');
+    direction.value = 'in';
+    direction.dispatchEvent(new Event('change'));
+    expect(items()).to.have.lengthOf(1);
+    expect(items()[0].textContent).to.include('<- pause true');
+
+    const text = inspector.element.querySelector('[name="type"]');
+    direction.value = '';
+    direction.dispatchEvent(new Event('change'));
+    text.value = 'FEAT';
+    text.dispatchEvent(new Event('input'));
+    expect(items()).to.have.lengthOf(1);
+
+    inspector.unmount();
+    expect(document.querySelector('.springroll-message-inspector')).to.be.null;
+  });
+});
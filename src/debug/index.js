@@ -1,2 +1,4 @@
 export * from './Debugger';
 export * from './ie';
+export * from './ErrorReporter';
+export * from './MessageInspector';
@@ -10,3 +10,6 @@ export * from './controller';
 export * from './Application';
 export * from './localization';
 export * from './plugins';
+export * from './standalone';
+export * from './analytics';
+export * from './learning';
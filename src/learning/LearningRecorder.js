@@ -0,0 +1,336 @@
+import { Schema } from '../state/Schema';
+
+/**
+ * @typedef {object} LearningStatement An xAPI style statement describing something the player did
+ * @property {string} id A unique id for the statement
+ * @property {object} actor The player, usually provided by the container
+ * @property {{ id: string, display: Object.<string, string> }} verb What the player did
+ * @property {{ objectType: string, id: string, definition?: object }} object The activity the player did it to
+ * @property {object} [result] The outcome, such as a score, a response or whether the activity was completed
+ * @property {object} context The attempt the statement belongs to
+ * @property {string} timestamp When it happened, as an ISO 8601 string
+ */
+
+const VERB_ROOT = 'http://adlnet.gov/expapi/verbs/';
+const INTERACTION = 'http://adlnet.gov/expapi/activities/cmi.interaction';
+
+const languageMapSchema = { type: 'map', values: { type: 'string' } };
+
+const statementSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    actor: { type: 'object' },
+    verb: {
+      type: 'object',
+      properties: { id: { type: 'string' }, display: languageMapSchema }
+    },
+    object: {
+      type: 'object',
+      properties: {
+        objectType: { type: 'string', enum: ['Activity'] },
+        id: { type: 'string' }
+      }
+    },
+    result: {
+      type: 'object',
+      optional: true,
+      properties: {
+        success: { type: 'boolean', optional: true },
+        completion: { type: 'boolean', optional: true },
+        duration: { type: 'string', optional: true },
+        score: {
+          type: 'object',
+          optional: true,
+          properties: {
+            raw: { type: 'number' },
+            min: { type: 'number', optional: true },
+            max: { type: 'number', optional: true },
+            scaled: { type: 'number', min: -1, max: 1, optional: true }
+          }
+        }
+      }
+    },
+    context: { type: 'object' },
+    timestamp: { type: 'string' }
+  }
+};
+
+/**
+ * Creates a random version 4 UUID.
+ * @return {string}
+ * @private
+ */
+function uuid() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = (Math.random() * 16) | 0;
+    return ('x' === char ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+/**
+ * Formats a number of milliseconds as an ISO 8601 duration.
+ * @param {number} milliseconds
+ * @return {string}
+ * @private
+ */
+function formatDuration(milliseconds) {
+  return `PT${Math.max(milliseconds, 0) / 1000}S`;
+}
+
+/**
+ * Builds xAPI style learning statements from simple game calls, validates them and dispatches them to a sink, which
+ * sends them to the container by default. Statements are queued while the sink is not ready.
+ * @export
+ * @class LearningRecorder
+ */
+export class LearningRecorder {
+  /**
+   * Creates an instance of LearningRecorder.
+   * @param {object} options
+   * @param {AnalyticsSink} options.sink Where statements are sent.
+   * @param {string} options.activityId The IRI that identifies the game, e.g. https://example.com/games/my-game.
+   * @param {string} [options.name] The name of the game, used in the activity definition.
+   * @param {object} [options.actor={}] The player. Usually left empty for the container to fill in.
+   * @param {string} [options.language='en-US'] The language of names and verb displays.
+   * @throws Error if no activityId is provided
+   * @memberof LearningRecorder
+   */
+  constructor({ sink, activityId, name, actor = {}, language = 'en-US' }) {
+    if ('string' !== typeof activityId || !activityId) {
+      throw new Error('LearningRecorder requires an activityId.');
+    }
+
+    this.sink = sink;
+    this.activityId = activityId;
+    this.name = name;
+    this.actor = actor;
+    this.language = language;
+    this.attempt = null;
+    this.pending = [];
+  }
+
+  /**
+   * Starts a new attempt of the game and records an attempted statement. Statements recorded afterwards belong to
+   * this attempt.
+   * @return {LearningStatement}
+   * @memberof LearningRecorder
+   */
+  attempted() {
+    this.attempt = { id: uuid(), start: Date.now() };
+    return this.record('attempted', this.gameActivity());
+  }
+
+  /**
+   * Records the player's answer to a question.
+   * @param {string} questionId The id of the question, either a full IRI or a path relative to the activityId.
+   * @param {object} [options={}]
+   * @param {*} [options.response] The player's answer.
+   * @param {boolean} [options.success] Whether the answer was correct.
+   * @param {string} [options.name] A readable name for the question.
+   * @return {LearningStatement}
+   * @memberof LearningRecorder
+   */
+  answered(questionId, { response, success, name } = {}) {
+    const result = {};
+    if (undefined !== response) {
+      result.response = String(response);
+    }
+    if (undefined !== success) {
+      result.success = success;
+    }
+
+    const definition = { type: INTERACTION };
+    if (undefined !== name) {
+      definition.name = { [this.language]: name };
+    }
+
+    return this.record(
+      'answered',
+      {
+        objectType: 'Activity',
+        id: this.resolveId(questionId),
+        definition
+      },
+      result
+    );
+  }
+
+  /**
+   * Records a score for the current attempt.
+   * @param {number} raw The score.
+   * @param {object} [options={}]
+   * @param {number} [options.min] The lowest possible score.
+   * @param {number} [options.max] The highest possible score. When min and max are provided the scaled score is
+   * calculated.
+   * @return {LearningStatement}
+   * @memberof LearningRecorder
+   */
+  scored(raw, { min, max } = {}) {
+    return this.record('scored', this.gameActivity(), {
+      score: this.createScore(raw, min, max)
+    });
+  }
+
+  /**
+   * Records that the player completed the current attempt, and ends it.
+   * @param {object} [options={}]
+   * @param {boolean} [options.success] Whether the player passed.
+   * @param {number} [options.score] The final score.
+   * @param {number} [options.min] The lowest possible score.
+   * @param {number} [options.max] The highest possible score.
+   * @return {LearningStatement}
+   * @memberof LearningRecorder
+   */
+  completed({ success, score, min, max } = {}) {
+    const start = this.attempt ? this.attempt.start : Date.now();
+    const result = {
+      completion: true,
+      duration: formatDuration(Date.now() - start)
+    };
+    if (undefined !== success) {
+      result.success = success;
+    }
+    if (undefined !== score) {
+      result.score = this.createScore(score, min, max);
+    }
+
+    const statement = this.record('completed', this.gameActivity(), result);
+    this.attempt = null;
+    return statement;
+  }
+
+  /**
+   * Builds, validates and dispatches a statement. An attempt is started first if there is not one.
+   * @param {string} verb The name of an ADL verb, e.g. "answered".
+   * @param {object} object The activity of the statement.
+   * @param {object} [result] The result of the statement.
+   * @return {LearningStatement}
+   * @throws Error if the statement is not valid
+   * @private
+   * @memberof LearningRecorder
+   */
+  record(verb, object, result) {
+    if (!this.attempt) {
+      this.attempted();
+    }
+
+    const statement = {
+      id: uuid(),
+      actor: this.actor,
+      verb: { id: VERB_ROOT + verb, display: { [this.language]: verb } },
+      object,
+      context: {
+        registration: this.attempt.id,
+        contextActivities: { parent: [{ id: this.activityId }] }
+      },
+      timestamp: new Date().toISOString()
+    };
+    if (result) {
+      statement.result = result;
+    }
+
+    const checked = LearningRecorder.validate(statement);
+    if (!checked.valid) {
+      throw new Error(`Invalid learning statement: ${checked.error}`);
+    }
+
+    this.pending.push(checked.value);
+    this.flush();
+    return checked.value;
+  }
+
+  /**
+   * Sends every queued statement to the sink, if the sink is ready.
+   * @memberof LearningRecorder
+   */
+  flush() {
+    if (!this.pending.length || false === this.sink.ready) {
+      return;
+    }
+
+    const statements = this.pending;
+    this.pending = [];
+    this.sink.send(statements);
+  }
+
+  /**
+   * Creates the activity that represents the game.
+   * @return {object}
+   * @private
+   * @memberof LearningRecorder
+   */
+  gameActivity() {
+    const activity = { objectType: 'Activity', id: this.activityId };
+    if (undefined !== this.name) {
+      activity.definition = { name: { [this.language]: this.name } };
+    }
+    return activity;
+  }
+
+  /**
+   * Creates a statement score, including the scaled score when the range is known.
+   * @param {number} raw
+   * @param {number} [min]
+   * @param {number} [max]
+   * @return {object}
+   * @private
+   * @memberof LearningRecorder
+   */
+  createScore(raw, min, max) {
+    const score = { raw };
+    if (undefined !== min) {
+      score.min = min;
+    }
+    if (undefined !== max) {
+      score.max = max;
+    }
+    if (undefined !== max && max > 0 && (undefined === min || 0 <= min)) {
+      score.scaled = raw / max;
+    }
+    return score;
+  }
+
+  /**
+   * Resolves a question id relative to the game's activityId.
+   * @param {string} id
+   * @return {string}
+   * @private
+   * @memberof LearningRecorder
+   */
+  resolveId(id) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(id)) {
+      return id;
+    }
+    return this.activityId.replace(/\/$/, '') + '/' + id;
+  }
+
+  /**
+   * Checks that a statement has the structure of an xAPI statement, and that its score is within range. Numbers and
+   * booleans sent as strings are coerced.
+   * @param {LearningStatement} statement
+   * @return {SchemaResult}
+   * @static
+   * @memberof LearningRecorder
+   */
+  static validate(statement) {
+    const checked = Schema.validate(statementSchema, statement);
+    if (!checked.valid) {
+      return checked;
+    }
+
+    const score = checked.value.result && checked.value.result.score;
+    if (
+      score &&
+      ((undefined !== score.min && score.raw < score.min) ||
+        (undefined !== score.max && score.raw > score.max))
+    ) {
+      return Schema.invalid(
+        statement,
+        `score ${score.raw} is outside of the range ${score.min} to ${score.max}`
+      );
+    }
+
+    return checked;
+  }
+}
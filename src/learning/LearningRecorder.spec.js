@@ -0,0 +1,90 @@
+import { LearningRecorder } from './LearningRecorder';
+import { LogSink } from '../analytics/LogSink';
+
+const activityId = 'https://example.com/games/test';
+
+describe('LearningRecorder', () => {
+  let sink;
+  let learning;
+
+  beforeEach(() => {
+    sink = new LogSink();
+    learning = new LearningRecorder({ sink, activityId, name: 'Test' });
+  });
+
+  it('should require an activityId', () => {
+    expect(() => new LearningRecorder({ sink })).to.throw(
+      'LearningRecorder requires an activityId.'
+    );
+  });
+
+  it('should build attempted statements for the game', () => {
+    const statement = learning.attempted();
+
+    expect(statement.verb).to.deep.equal({
+      id: 'http://adlnet.gov/expapi/verbs/attempted',
+      display: { 'en-US': 'attempted' }
+    });
+    expect(statement.object).to.deep.equal({
+      objectType: 'Activity',
+      id: activityId,
+      definition: { name: { 'en-US': 'Test' } }
+    });
+    expect(statement.context.registration).to.equal(learning.attempt.id);
+    expect(statement.id).to.match(/^[0-9a-f-]{36}$/);
+    expect(sink.events).to.deep.equal([statement]);
+  });
+
+  it('should start an attempt if one has not been started', () => {
+    learning.answered('question-1', { response: 4, success: true });
+
+    expect(sink.events).to.have.lengthOf(2);
+    expect(sink.events[0].verb.id).to.match(/attempted$/);
+    expect(sink.events[1].object.id).to.equal(`${activityId}/question-1`);
+    expect(sink.events[1].result).to.deep.equal({
+      response: '4',
+      success: true
+    });
+    expect(sink.events[1].context.registration).to.equal(
+      sink.events[0].context.registration
+    );
+  });
+
+  it('should scale scores when the range is known', () => {
+    expect(learning.scored(5, { min: 0, max: 10 }).result.score).to.deep.equal(
+      { raw: 5, min: 0, max: 10, scaled: 0.5 }
+    );
+    expect(learning.scored(5).result.score).to.deep.equal({ raw: 5 });
+  });
+
+  it('should end the attempt when completed', () => {
+    learning.attempted();
+    const statement = learning.completed({ success: true, score: 8, max: 10 });
+
+    expect(statement.result).to.include({ completion: true, success: true });
+    expect(statement.result.duration).to.match(/^PT[0-9.]+S$/);
+    expect(learning.attempt).to.be.null;
+  });
+
+  it('should throw on invalid statements', () => {
+    expect(() => learning.scored(-1, { min: 0, max: 10 })).to.throw(
+      'score -1 is outside of the range 0 to 10'
+    );
+    expect(() => learning.scored(12, { min: 0, max: 10 })).to.throw(
+      'property "scaled" expected a number between -1 and 1'
+    );
+    expect(() => learning.scored('lots')).to.throw(
+      'property "raw" expected a number but received "lots"'
+    );
+  });
+
+  it('should queue statements until the sink is ready', () => {
+    sink.ready = false;
+    learning.attempted();
+    expect(sink.events).to.have.lengthOf(0);
+
+    sink.ready = true;
+    learning.flush();
+    expect(sink.events).to.have.lengthOf(1);
+  });
+});
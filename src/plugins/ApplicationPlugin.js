@@ -8,6 +8,9 @@ export class ApplicationPlugin {
    * Creates a new Application plugin with a given name and other required plugins
    * @param {Object} [options={}] The configuration options to the plugin
    * @param {String} [options.name] The name of the plugin. Used by other plugins to specify a dependency on the plugin
+   * @param {String[]} [options.required=[]] Names of plugins that must be loaded before this plugin
+   * @param {String[]} [options.optional=[]] Names of plugins that should be loaded before this plugin, if they are registered
+   * @param {Number} [options.preloadTimeout] Milliseconds to wait for preload before the plugin fails. Overrides the Application preloadTimeout
    */
   constructor(options = {}) {
     if (options.name === undefined) {
@@ -15,11 +18,16 @@ export class ApplicationPlugin {
     }
 
     this.name = options.name;
+    this.required = options.required || [];
+    this.optional = options.optional || [];
+    this.preloadTimeout = options.preloadTimeout;
   }
 
   /**
    * A preload method for the plugin which allows for asynchronous setup tasks. Either takes a callback as first
    * parameter, or should return a Promise indicating that loading is finished.
+   * @param {Application} application The application the plugin is loading for.
+   * @param {function(number)} progress Reports how much of the preload is finished, as a number between 0 and 1.
    * @return {Promise} A promise indicating when the plugin is finished loading.
    */
   preload() {
@@ -37,4 +45,10 @@ export class ApplicationPlugin {
    * After all plugins inits has completed
    */
   start() {}
+
+  /**
+   * A destroy method for the plugin. This method is called when the Application is destroyed, in the reverse order
+   * that plugins were started. Used to remove any listeners or other resources the plugin created.
+   */
+  destroy() {}
 }
@@ -11,4 +11,25 @@ describe('ApplicationPlugin', () => {
     const plugin = new ApplicationPlugin({ name: 'test' });
     expect(plugin.name).to.equal('test');
   });
+
+  it('should default required and optional dependencies to empty lists', () => {
+    const plugin = new ApplicationPlugin({ name: 'test' });
+    expect(plugin.required).to.deep.equal([]);
+    expect(plugin.optional).to.deep.equal([]);
+  });
+
+  it('should attach the configured dependencies to the plugin', () => {
+    const plugin = new ApplicationPlugin({
+      name: 'test',
+      required: ['a'],
+      optional: ['b']
+    });
+    expect(plugin.required).to.deep.equal(['a']);
+    expect(plugin.optional).to.deep.equal(['b']);
+  });
+
+  it('should attach the configured preload timeout to the plugin', () => {
+    const plugin = new ApplicationPlugin({ name: 'test', preloadTimeout: 50 });
+    expect(plugin.preloadTimeout).to.equal(50);
+  });
 });
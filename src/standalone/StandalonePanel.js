@@ -0,0 +1,159 @@
+/**
+ * @typedef {object} StandaloneControl
+ * @property {string} stateKey The name of the application state property the control changes
+ * @property {SchemaDescriptor} schema The schema of the state property, which decides the type of control
+ */
+
+/**
+ * A lightweight DOM settings panel for games that are running without a SpringRoll Container. Generates a control
+ * for each state property it is given, and keeps the controls and properties in sync.
+ * @export
+ * @class StandalonePanel
+ */
+export class StandalonePanel {
+  /**
+   * Creates an instance of StandalonePanel.
+   * @param {object} state The application state the controls change.
+   * @param {StandaloneControl[]} controls The state properties to create controls for. Properties with schemas that
+   * can not be represented by a control (objects, maps and arrays) are skipped.
+   * @memberof StandalonePanel
+   */
+  constructor(state, controls) {
+    this.state = state;
+    this.controls = controls;
+    this.element = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Creates the panel and adds it to the page.
+   * @param {HTMLElement} [parent=document.body] The element to add the panel to.
+   * @memberof StandalonePanel
+   */
+  mount(parent = document.body) {
+    if (this.element) {
+      return;
+    }
+
+    this.element = document.createElement('div');
+    this.element.className = 'springroll-standalone-panel';
+    this.element.style.position = 'fixed';
+    this.element.style.top = '0';
+    this.element.style.right = '0';
+    this.element.style.zIndex = '10000';
+    this.element.style.padding = '4px';
+    this.element.style.font = '12px sans-serif';
+    this.element.style.color = '#FFFFFF';
+    this.element.style.background = 'rgba(0, 0, 0, 0.8)';
+
+    const form = document.createElement('form');
+    form.style.display = 'none';
+    form.addEventListener('submit', e => e.preventDefault());
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.textContent = 'Settings';
+    toggle.addEventListener('click', () => {
+      form.style.display = 'none' === form.style.display ? 'block' : 'none';
+    });
+
+    for (let i = 0; i < this.controls.length; i++) {
+      const { stateKey, schema } = this.controls[i];
+      const input = this.createInput(stateKey, schema);
+      if (!input) {
+        continue;
+      }
+
+      const label = document.createElement('label');
+      label.style.display = 'block';
+      label.style.margin = '4px 0';
+      label.textContent = stateKey + ' ';
+      label.appendChild(input);
+      form.appendChild(label);
+    }
+
+    this.element.appendChild(toggle);
+    this.element.appendChild(form);
+    parent.appendChild(this.element);
+  }
+
+  /**
+   * Creates an input for a state property, and keeps the two in sync.
+   * @param {string} stateKey The name of the state property.
+   * @param {SchemaDescriptor} [schema] The schema of the state property.
+   * @return {HTMLElement | null} The input, or null if the schema can not be represented by an input.
+   * @private
+   * @memberof StandalonePanel
+   */
+  createInput(stateKey, schema = {}) {
+    const property = this.state[stateKey];
+    let input;
+    let read;
+    let write;
+
+    switch (schema.type) {
+    case 'boolean':
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      read = () => input.checked;
+      write = value => (input.checked = !!value);
+      break;
+    case 'number': {
+      const min = undefined === schema.min ? 0 : schema.min;
+      const max = undefined === schema.max ? 1 : schema.max;
+      input = document.createElement('input');
+      input.type = 'range';
+      input.min = min;
+      input.max = max;
+      input.step = (max - min) / 100;
+      read = () => Number(input.value);
+      write = value => (input.value = value);
+      break;
+    }
+    case 'string':
+      if (!schema.enum) {
+        input = document.createElement('input');
+        input.type = 'text';
+      } else {
+        input = document.createElement('select');
+        for (let i = 0; i < schema.enum.length; i++) {
+          const option = document.createElement('option');
+          option.value = schema.enum[i];
+          option.textContent = schema.enum[i] || 'none';
+          input.appendChild(option);
+        }
+      }
+      read = () => input.value;
+      write = value => (input.value = undefined === value ? '' : value);
+      break;
+    default:
+      return null;
+    }
+
+    input.name = stateKey;
+    write(property.value);
+    input.addEventListener('change', () => (property.value = read()));
+
+    const listener = value => write(value);
+    property.subscribe(listener);
+    this.listeners.push({ property, listener });
+
+    return input;
+  }
+
+  /**
+   * Removes the panel from the page and stops listening to the application state.
+   * @memberof StandalonePanel
+   */
+  destroy() {
+    for (let i = 0; i < this.listeners.length; i++) {
+      this.listeners[i].property.unsubscribe(this.listeners[i].listener);
+    }
+    this.listeners = [];
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
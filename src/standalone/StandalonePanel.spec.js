@@ -0,0 +1,76 @@
+import { StandalonePanel } from './StandalonePanel';
+import { Property } from '../state/Property';
+
+describe('StandalonePanel', () => {
+  let state;
+  let panel;
+
+  beforeEach(() => {
+    state = {
+      pause: new Property(false),
+      musicVolume: new Property(1),
+      colorVision: new Property('none'),
+      keyBinding: new Property({})
+    };
+
+    panel = new StandalonePanel(state, [
+      { stateKey: 'pause', schema: { type: 'boolean' } },
+      { stateKey: 'musicVolume', schema: { type: 'number', min: 0, max: 1 } },
+      {
+        stateKey: 'colorVision',
+        schema: { type: 'string', enum: ['none', 'Protanopia'] }
+      },
+      { stateKey: 'keyBinding', schema: { type: 'map' } }
+    ]);
+    panel.mount();
+  });
+
+  afterEach(() => {
+    panel.destroy();
+  });
+
+  const input = name => panel.element.querySelector(`[name="${name}"]`);
+
+  it('should add the panel to the page', () => {
+    expect(document.querySelector('.springroll-standalone-panel')).to.equal(
+      panel.element
+    );
+  });
+
+  it('should create a control for each supported schema', () => {
+    expect(input('pause').type).to.equal('checkbox');
+    expect(input('musicVolume').type).to.equal('range');
+    expect(input('colorVision').tagName).to.equal('SELECT');
+    expect(input('keyBinding')).to.equal(null);
+  });
+
+  it('should write control changes into the state', () => {
+    input('pause').checked = true;
+    input('pause').dispatchEvent(new Event('change'));
+    input('musicVolume').value = '0.25';
+    input('musicVolume').dispatchEvent(new Event('change'));
+    input('colorVision').value = 'Protanopia';
+    input('colorVision').dispatchEvent(new Event('change'));
+
+    expect(state.pause.value).to.equal(true);
+    expect(state.musicVolume.value).to.equal(0.25);
+    expect(state.colorVision.value).to.equal('Protanopia');
+  });
+
+  it('should update controls when the state changes', () => {
+    state.pause.value = true;
+    state.colorVision.value = 'Protanopia';
+
+    expect(input('pause').checked).to.equal(true);
+    expect(input('colorVision').value).to.equal('Protanopia');
+  });
+
+  it('should remove the panel and its listeners when destroyed', () => {
+    panel.destroy();
+
+    expect(document.querySelector('.springroll-standalone-panel')).to.equal(
+      null
+    );
+    expect(state.pause.hasListeners).to.equal(false);
+  });
+});
@@ -0,0 +1,156 @@
+import { UserData } from './UserData';
+
+/**
+ * Saves and loads an object of player settings. Settings are stored in the container through UserData when the
+ * container connects, and in localStorage otherwise. The first load or save waits for the container to connect, and
+ * every load and save after it uses the same storage, so settings are never split between the two. Only one save is
+ * written at a time, and saves made while one is being written are combined into a single write of the latest
+ * settings.
+ * @export
+ * @class PersistentSettings
+ */
+export class PersistentSettings {
+  /**
+   * Creates an instance of PersistentSettings.
+   * @param {string} [key='springrollSettings'] The name the settings are stored under.
+   * @param {object} [options={}]
+   * @param {number} [options.timeout=1000] Milliseconds to wait for the container to connect before settings are
+   * stored in localStorage instead.
+   * @param {Bellhop} [options.container=UserData.container] The connection to the container settings are stored in.
+   * @memberof PersistentSettings
+   */
+  constructor(
+    key = 'springrollSettings',
+    { timeout = 1000, container = UserData.container } = {}
+  ) {
+    this.key = key;
+    this.timeout = timeout;
+    this.container = container;
+    this.storage = null;
+    this.writing = null;
+    this.queued = null;
+  }
+
+  /**
+   * Loads the saved settings.
+   * @return {Promise<object>} The saved settings, or an empty object if nothing has been saved.
+   * @memberof PersistentSettings
+   */
+  load() {
+    return this.useUserData().then(useUserData => {
+      if (useUserData) {
+        return this.withContainer(() => UserData.read(this.key)).then(
+          data => data || {}
+        );
+      }
+
+      const saved = JSON.parse(window.localStorage.getItem(this.key));
+      return saved || {};
+    });
+  }
+
+  /**
+   * Saves the settings, replacing any previously saved settings. If a save is being written, the settings are written
+   * after it, together with any other settings saved in the meantime.
+   * @param {object} settings The settings to save.
+   * @return {Promise} Resolves once these settings, or settings saved after them, are written.
+   * @memberof PersistentSettings
+   */
+  save(settings) {
+    if (this.queued) {
+      this.queued.settings = settings;
+      return this.queued.written;
+    }
+
+    if (!this.writing) {
+      return this.write(settings);
+    }
+
+    const queued = { settings, written: null };
+    queued.written = this.writing
+      .catch(() => {})
+      .then(() => {
+        this.queued = null;
+        return this.write(queued.settings);
+      });
+    this.queued = queued;
+    return queued.written;
+  }
+
+  /**
+   * Writes the settings to the storage.
+   * @param {object} settings
+   * @return {Promise}
+   * @private
+   * @memberof PersistentSettings
+   */
+  write(settings) {
+    const writing = this.useUserData().then(useUserData => {
+      if (useUserData) {
+        return this.withContainer(() => UserData.write(this.key, settings));
+      }
+
+      window.localStorage.setItem(this.key, JSON.stringify(settings));
+    });
+
+    this.writing = writing;
+    const done = () => {
+      if (this.writing === writing) {
+        this.writing = null;
+      }
+    };
+    writing.then(done, done);
+    return writing;
+  }
+
+  /**
+   * Sends a UserData request through the container settings are stored in, instead of the container UserData uses.
+   * Requests choose their container when they are sent, so it is only swapped while the request is sent.
+   * @param {function(): Promise} request
+   * @return {Promise}
+   * @private
+   * @memberof PersistentSettings
+   */
+  withContainer(request) {
+    const previous = UserData.container;
+    UserData.container = this.container;
+    try {
+      return request();
+    } finally {
+      UserData.container = previous;
+    }
+  }
+
+  /**
+   * Chooses where settings are stored the first time it is called, waiting up to the timeout for the container to
+   * connect.
+   * @return {Promise<boolean>} Whether settings are stored through UserData.
+   * @private
+   * @memberof PersistentSettings
+   */
+  useUserData() {
+    if (this.storage) {
+      return this.storage;
+    }
+
+    const container = this.container;
+    if (container.connected) {
+      this.storage = Promise.resolve(true);
+      return this.storage;
+    }
+
+    this.storage = new Promise(resolve => {
+      const onConnected = () => {
+        clearTimeout(timer);
+        container.off('connected', onConnected);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        container.off('connected', onConnected);
+        resolve(false);
+      }, this.timeout);
+      container.on('connected', onConnected);
+    });
+    return this.storage;
+  }
+}
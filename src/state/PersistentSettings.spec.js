@@ -0,0 +1,168 @@
+import sinon from 'sinon';
+
+import { PersistentSettings } from './PersistentSettings';
+import { UserData } from './UserData';
+import container from '../communication/BellhopSingleton';
+import { MockContainer } from '../communication/MockContainer';
+
+describe('PersistentSettings', () => {
+  afterEach(() => {
+    localStorage.removeItem('springrollSettings');
+    localStorage.removeItem('custom');
+  });
+
+  describe('without a container', () => {
+    it('should load an empty object if nothing has been saved', () => {
+      return new PersistentSettings(undefined, { timeout: 0 })
+        .load()
+        .then(settings => expect(settings).to.deep.equal({}));
+    });
+
+    it('should save and load settings from localStorage', () => {
+      const settings = new PersistentSettings('custom', { timeout: 0 });
+      return settings
+        .save({ musicVolume: 0.2 })
+        .then(() => {
+          expect(JSON.parse(localStorage.getItem('custom'))).to.deep.equal({
+            musicVolume: 0.2
+          });
+          return settings.load();
+        })
+        .then(loaded => expect(loaded).to.deep.equal({ musicVolume: 0.2 }));
+    });
+
+    it('should reject if the saved settings are corrupt', () => {
+      localStorage.setItem('springrollSettings', '{');
+
+      return new PersistentSettings(undefined, { timeout: 0 }).load().then(
+        () => {
+          throw new Error('Expected load to reject');
+        },
+        error => expect(error).to.be.an('error')
+      );
+    });
+
+    it('should keep using localStorage if the container connects later', () => {
+      const settings = new PersistentSettings('custom', { timeout: 0 });
+      sinon.stub(UserData, 'write').resolves();
+
+      return settings
+        .load()
+        .then(() => {
+          container.connected = true;
+          return settings.save({ musicVolume: 0.3 });
+        })
+        .then(() => {
+          container.connected = false;
+          const written = UserData.write.called;
+          UserData.write.restore();
+          expect(written).to.equal(false);
+          expect(JSON.parse(localStorage.getItem('custom'))).to.deep.equal({
+            musicVolume: 0.3
+          });
+        });
+    });
+  });
+
+  describe('while the container is connecting', () => {
+    beforeEach(() => {
+      sinon.stub(UserData, 'read').resolves({ musicVolume: 0.4 });
+    });
+
+    afterEach(() => {
+      container.connected = false;
+      UserData.read.restore();
+    });
+
+    it('should wait for the container to connect', () => {
+      const loaded = new PersistentSettings('custom', { timeout: 1000 }).load();
+      container.connected = true;
+      container.trigger('connected');
+
+      return loaded.then(settings => {
+        expect(settings).to.deep.equal({ musicVolume: 0.4 });
+        expect(UserData.read.calledWith('custom')).to.equal(true);
+      });
+    });
+  });
+
+  describe('with a container', () => {
+    beforeEach(() => {
+      container.connected = true;
+      sinon.stub(UserData, 'read').resolves({ musicVolume: 0.4 });
+      sinon.stub(UserData, 'write').resolves();
+    });
+
+    afterEach(() => {
+      container.connected = false;
+      UserData.read.restore();
+      UserData.write.restore();
+    });
+
+    it('should load settings with UserData', () => {
+      return new PersistentSettings().load().then(settings => {
+        expect(settings).to.deep.equal({ musicVolume: 0.4 });
+        expect(UserData.read.calledWith('springrollSettings')).to.equal(true);
+      });
+    });
+
+    it('should write one save at a time, combining the saves made meanwhile', () => {
+      let finishWrite;
+      UserData.write.onFirstCall().returns(
+        new Promise(resolve => (finishWrite = resolve))
+      );
+      const settings = new PersistentSettings();
+
+      const first = settings.save({ musicVolume: 0.1 });
+      const second = settings.save({ musicVolume: 0.2 });
+      const third = settings.save({ musicVolume: 0.3 });
+      expect(second).to.equal(third);
+
+      return Promise.resolve()
+        .then(() => {
+          expect(UserData.write.callCount).to.equal(1);
+          finishWrite();
+          return Promise.all([first, third]);
+        })
+        .then(() => {
+          expect(UserData.write.callCount).to.equal(2);
+          expect(UserData.write.secondCall.args).to.deep.equal([
+            'springrollSettings',
+            { musicVolume: 0.3 }
+          ]);
+        });
+    });
+
+    it('should save settings with UserData', () => {
+      return new PersistentSettings().save({ musicVolume: 0.1 }).then(() => {
+        expect(
+          UserData.write.calledWith('springrollSettings', { musicVolume: 0.1 })
+        ).to.equal(true);
+        expect(localStorage.getItem('springrollSettings')).to.equal(null);
+      });
+    });
+  });
+
+  describe('with the container of an application', () => {
+    it('should store settings in that container', () => {
+      const mock = new MockContainer({
+        userData: { custom: { musicVolume: 0.5 } }
+      });
+      mock.connect();
+      const settings = new PersistentSettings('custom', { container: mock });
+
+      return settings
+        .load()
+        .then(loaded => {
+          expect(loaded).to.deep.equal({ musicVolume: 0.5 });
+          return settings.save({ musicVolume: 0.6 });
+        })
+        .then(() => {
+          mock.destroy();
+          expect(mock.userData.custom).to.deep.equal({ musicVolume: 0.6 });
+          expect(UserData.container).to.equal(container);
+          expect(localStorage.getItem('custom')).to.equal(null);
+        });
+    });
+  });
+});
@@ -1,3 +1,143 @@
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * Whether a value is an array or an object created with an object literal, which are compared and copied by value.
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+function isPlain(value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  if (null === value || 'object' !== typeof value) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return null === prototype || Object.prototype === prototype;
+}
+
+/**
+ * Compares the own keys of two plain objects or arrays with a comparison function.
+ * @param {object} a
+ * @param {object} b
+ * @param {function(*, *): boolean} compare
+ * @return {boolean}
+ * @private
+ */
+function compareKeys(a, b, compare) {
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+
+  for (let i = 0; i < keys.length; i++) {
+    if (
+      !Object.prototype.hasOwnProperty.call(b, keys[i]) ||
+      !compare(a[keys[i]], b[keys[i]])
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Copies a value deeply enough for an equality strategy to detect changes made to the original in place.
+ * @param {*} value
+ * @param {boolean} deep Whether nested plain objects and arrays are copied too.
+ * @return {*}
+ * @private
+ */
+function copy(value, deep) {
+  if (!isPlain(value)) {
+    return value;
+  }
+
+  const result = Array.isArray(value) ? [] : {};
+  const keys = Object.keys(value);
+  for (let i = 0; i < keys.length; i++) {
+    result[keys[i]] = deep ? copy(value[keys[i]], true) : value[keys[i]];
+  }
+  return result;
+}
+
+/**
+ * Whether two values are equal, comparing plain objects and arrays by value at every level.
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ * @private
+ */
+function deepEquals(a, b) {
+  return a === b || (isPlain(a) && isPlain(b) && compareKeys(a, b, deepEquals));
+}
+
+/**
+ * The built in equality strategies, and how values are copied for each so in place changes can be detected.
+ * @private
+ */
+const equalities = {
+  strict: {
+    equals: (a, b) => a === b,
+    copy: value => value
+  },
+  shallow: {
+    equals: (a, b) =>
+      a === b ||
+      (isPlain(a) && isPlain(b) && compareKeys(a, b, (x, y) => x === y)),
+    copy: value => copy(value, false)
+  },
+  deep: {
+    equals: deepEquals,
+    copy: value => copy(value, true)
+  }
+};
+
+// the number of batches currently running, and the value each property changed in the batch had before it started
+let batchDepth = 0;
+const batchChanges = new Map();
+
+/**
+ * Notifies the listeners of every property that changed during a batch. Changes made by those listeners are batched
+ * again, so derived properties only notify once with their final value. A listener that throws does not stop the
+ * other properties from being notified, and the first error is thrown once every property has been notified.
+ * @throws the first error thrown by a listener
+ * @private
+ */
+function flushBatch() {
+  let failed = false;
+  let error;
+  while (batchChanges.size) {
+    const changes = Array.from(batchChanges);
+    batchChanges.clear();
+
+    batchDepth++;
+    try {
+      for (let i = 0; i < changes.length; i++) {
+        try {
+          changes[i][0].notify(changes[i][1]);
+        } catch (e) {
+          if (!failed) {
+            failed = true;
+            error = e;
+          }
+        }
+      }
+    } finally {
+      batchDepth--;
+    }
+  }
+
+  if (failed) {
+    throw error;
+  }
+}
+
 /**
  * A class for representing changeable/subscribable properties.
  * @class Property
@@ -7,13 +147,38 @@
 export class Property {
   /**
    * Creates a new property with an initial value.
-   * @param {*} initialValue The initial value of this property.
-   * @param {boolean} alwaysNotify Determines if the property will notify a value change regardless if it's a new value or not.
+   * @param {*} initialValue The initial value of this property. It is stored without being transformed or validated.
+   * @param {boolean | object} [options=false] Either alwaysNotify, or an object of options.
+   * @param {boolean} [options.alwaysNotify=false] Determines if the property will notify a value change regardless if it's a new value or not.
+   * @param {'strict' | 'shallow' | 'deep' | function(*, *): boolean} [options.equals='strict'] How values are compared to decide if the value changed. shallow and deep compare plain objects and arrays by value, and also detect changes made to the previous value in place.
+   * @param {function(*): boolean} [options.validator] Returns false for values that should be rejected. Rejected values are not stored, and are logged as warnings.
+   * @param {function(*, *): *} [options.transform] Called with each new value and the current value, and returns the value to store.
    */
-  constructor(initialValue, alwaysNotify = false) {
-    this._value = initialValue;
+  constructor(initialValue, options = false) {
+    const {
+      alwaysNotify = false,
+      equals = 'strict',
+      validator = null,
+      transform = null
+    } = 'object' === typeof options && null !== options
+      ? options
+      : { alwaysNotify: options };
+
     this.listeners = [];
+    this.watchers = [];
     this.alwaysNotify = alwaysNotify;
+    this.validator = validator;
+    this.transform = transform;
+
+    if ('function' === typeof equals) {
+      this.equality = { equals, copy: value => value };
+    } else if (equalities[equals]) {
+      this.equality = equalities[equals];
+    } else {
+      throw new Error(`Unknown Property equality "${equals}".`);
+    }
+
+    this.store(initialValue);
   }
 
   /**
@@ -28,24 +193,113 @@ export class Property {
    * @type {*}
    */
   set value(value) {
-    if (this.value === value && !this.alwaysNotify) {
+    this.setValue(value);
+  }
+
+  /**
+   * Changes the value and notifies listeners, unless the value is unchanged and the property does not always notify.
+   * @param {*} value
+   * @private
+   */
+  setValue(value) {
+    if (this.transform) {
+      value = this.transform(value, this._value);
+    }
+
+    if (this.validator && !this.validator(value)) {
+      Debugger.log('warn', 'Property rejected invalid value:', value);
       return;
     }
 
-    const prevValue = this._value;
+    // compare against a copy of the previous value, so changes made to it in place are detected
+    const prevValue = this._previous;
+    if (!this.alwaysNotify && this.equality.equals(prevValue, value)) {
+      return;
+    }
+
+    this.store(value);
+
+    for (let i = 0; i < this.watchers.length; i++) {
+      this.watchers[i](value, prevValue);
+    }
+
+    if (batchDepth > 0) {
+      if (!batchChanges.has(this)) {
+        batchChanges.set(this, prevValue);
+      }
+      return;
+    }
+
+    this.notify(prevValue);
+  }
+
+  /**
+   * Stores a value without notifying listeners, along with a copy to compare the next value against.
+   * @param {*} value
+   * @private
+   */
+  store(value) {
     this._value = value;
+    this._previous = this.equality.copy(value);
+  }
 
-    for (let i = 0; i < this.listeners.length; i++) {
-      this.listeners[i](this._value, prevValue);
+  /**
+   * Calls every listener with the current and previous value.
+   * @param {*} prevValue The value before the change.
+   * @private
+   */
+  notify(prevValue) {
+    if (!this.alwaysNotify && this.equality.equals(prevValue, this._value)) {
+      return;
+    }
+
+    // listeners can unsubscribe while being notified, which replaces the listeners array
+    const listeners = this.listeners;
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i](this._value, prevValue);
     }
   }
 
   /**
    * Adds a subscriber to this property.
    * @param {function} callback The callback to call whenever the property changes.
+   * @param {object} [options={}]
+   * @param {boolean} [options.immediate=false] Whether to call the callback with the current value right away.
+   * @return {function} A function that unsubscribes the callback.
    */
-  subscribe(callback) {
+  subscribe(callback, { immediate = false } = {}) {
     this.listeners.push(callback);
+    if (immediate) {
+      callback(this.value);
+    }
+    return () => this.unsubscribe(callback);
+  }
+
+  /**
+   * Adds a subscriber that is only called the next time the property changes.
+   * @param {function} callback The callback to call when the property changes.
+   * @return {function} A function that unsubscribes the callback before it is called.
+   */
+  once(callback) {
+    const listener = (value, prevValue) => {
+      this.unsubscribe(listener);
+      callback(value, prevValue);
+    };
+    return this.subscribe(listener);
+  }
+
+  /**
+   * Adds a function that is called as soon as the value changes, even inside a batch, before any listener is notified.
+   * Watchers are not listeners, so they do not count towards hasListeners. Used by PropertyHistory to record each
+   * change as it is made.
+   * @param {function} callback Called with the new and previous value.
+   * @return {function} A function that stops watching.
+   */
+  watch(callback) {
+    this.watchers.push(callback);
+    return () => {
+      this.watchers = this.watchers.filter(watcher => watcher !== callback);
+    };
   }
 
   /**
@@ -64,4 +318,166 @@ export class Property {
   get hasListeners() {
     return this.listeners.length > 0;
   }
+
+  /**
+   * Creates a read-only property whose value is the result of calling a function with this property's value.
+   * @param {function(*): *} transform
+   * @return {DerivedProperty}
+   */
+  map(transform) {
+    return new DerivedProperty([this], values => transform(values[0]));
+  }
+
+  /**
+   * Creates a read-only property that only takes this property's value when it passes a test, and otherwise keeps
+   * the last value that passed. Its value is undefined until a value passes.
+   * @param {function(*): boolean} predicate
+   * @return {DerivedProperty}
+   */
+  filter(predicate) {
+    return new DerivedProperty([this], (values, previous) =>
+      predicate(values[0]) ? values[0] : previous
+    );
+  }
+
+  /**
+   * Runs a function, and delays notifying listeners of the properties it changes until it returns. Each listener is
+   * called once with the final value, and not at all if the value ends the batch unchanged. Batches can be nested.
+   * @param {function} callback The function that changes properties.
+   * @return {*} The value returned by the callback.
+   * @static
+   */
+  static batch(callback) {
+    batchDepth++;
+    try {
+      return callback();
+    } finally {
+      batchDepth--;
+      if (0 === batchDepth) {
+        flushBatch();
+      }
+    }
+  }
+
+  /**
+   * Creates a read-only property whose value is the result of calling a function with the values of several
+   * properties, e.g. Property.combine([soundVolume, musicVolume], (sound, music) => sound * music).
+   * @param {Property[]} properties
+   * @param {function(...*): *} combiner Called with the value of each property, in order.
+   * @return {DerivedProperty}
+   * @static
+   */
+  static combine(properties, combiner) {
+    return new DerivedProperty(properties, values => combiner(...values));
+  }
+}
+
+/**
+ * A read-only property that is calculated from other properties. The value is only kept up to date while the
+ * property has listeners; otherwise it is calculated when it is read. Call dispose when it is no longer needed.
+ * @class DerivedProperty
+ * @extends Property
+ * @property {Property[]} sources the properties the value is calculated from
+ */
+export class DerivedProperty extends Property {
+  /**
+   * Creates a new derived property.
+   * @param {Property[]} sources The properties the value is calculated from.
+   * @param {function(Array, *): *} derive Called with the values of the sources and the previous value.
+   * @param {boolean} alwaysNotify Determines if the property will notify every time a source changes.
+   */
+  constructor(sources, derive, alwaysNotify = false) {
+    super(undefined, { alwaysNotify });
+    this.sources = sources;
+    this.derive = derive;
+    this.disposed = false;
+    this.subscribed = false;
+    this.onSourceChange = () => this.setValue(this.compute());
+  }
+
+  /**
+   * The current value of the property
+   * @type {*}
+   */
+  get value() {
+    if (!this.subscribed && !this.disposed) {
+      this.store(this.compute());
+    }
+    return this._value;
+  }
+
+  /**
+   * Derived properties can not be set.
+   * @type {*}
+   * @throws Error always
+   */
+  set value(value) {
+    throw new Error('Derived properties are read-only.');
+  }
+
+  /**
+   * Calculates the value from the current values of the sources.
+   * @return {*}
+   * @private
+   */
+  compute() {
+    return this.derive(this.sources.map(source => source.value), this._value);
+  }
+
+  /**
+   * Adds a subscriber to this property, and starts listening to the sources if it is the first.
+   * @param {function} callback The callback to call whenever the property changes.
+   * @param {object} [options={}]
+   * @param {boolean} [options.immediate=false] Whether to call the callback with the current value right away.
+   * @return {function} A function that unsubscribes the callback.
+   */
+  subscribe(callback, options) {
+    if (this.disposed) {
+      return () => {};
+    }
+
+    if (!this.subscribed) {
+      this.store(this.compute());
+      this.subscribed = true;
+      for (let i = 0; i < this.sources.length; i++) {
+        this.sources[i].subscribe(this.onSourceChange);
+      }
+    }
+    return super.subscribe(callback, options);
+  }
+
+  /**
+   * Unsubscribes a listener from this property, and stops listening to the sources if it was the last.
+   * @param {function} callback The callback to unsubscribe.
+   */
+  unsubscribe(callback) {
+    super.unsubscribe(callback);
+    if (!this.hasListeners) {
+      this.unsubscribeSources();
+    }
+  }
+
+  /**
+   * Stops listening to the sources.
+   * @private
+   */
+  unsubscribeSources() {
+    if (!this.subscribed) {
+      return;
+    }
+    this.subscribed = false;
+    for (let i = 0; i < this.sources.length; i++) {
+      this.sources[i].unsubscribe(this.onSourceChange);
+    }
+  }
+
+  /**
+   * Removes every listener and stops listening to the sources. The value no longer changes after the property is
+   * disposed.
+   */
+  dispose() {
+    this.unsubscribeSources();
+    this.listeners = [];
+    this.disposed = true;
+  }
 }
@@ -61,4 +61,315 @@ describe('Property', () => {
       expect(property.hasListeners).to.equal(false);
     });
   });
+
+  describe('map', () => {
+    it('should transform the value of the source', () => {
+      const volume = new Property(0.5);
+      const percent = volume.map(value => value * 100);
+
+      expect(percent.value).to.equal(50);
+      volume.value = 0.2;
+      expect(percent.value).to.equal(20);
+    });
+
+    it('should notify subscribers when the source changes', () => {
+      const callback = Sinon.fake();
+      const volume = new Property(0.5);
+      const muted = volume.map(value => 0 === value);
+
+      muted.subscribe(callback);
+      volume.value = 0.2;
+      expect(callback.callCount).to.equal(0);
+
+      volume.value = 0;
+      expect(callback.calledOnceWith(true, false)).to.be.true;
+    });
+
+    it('should be read-only', () => {
+      const derived = new Property(1).map(value => value);
+      expect(() => (derived.value = 2)).to.throw(
+        'Derived properties are read-only.'
+      );
+    });
+  });
+
+  describe('filter', () => {
+    it('should keep the last value that passed the test', () => {
+      const level = new Property(-1);
+      const validLevel = level.filter(value => value >= 0);
+      const callback = Sinon.fake();
+
+      expect(validLevel.value).to.be.undefined;
+      validLevel.subscribe(callback);
+
+      level.value = 2;
+      level.value = -5;
+      expect(validLevel.value).to.equal(2);
+      expect(callback.callCount).to.equal(1);
+    });
+  });
+
+  describe('combine', () => {
+    it('should combine the values of several properties', () => {
+      const sound = new Property(0.5);
+      const music = new Property(0.5);
+      const pause = new Property(false);
+      const effective = Property.combine(
+        [sound, music, pause],
+        (soundVolume, musicVolume, paused) =>
+          paused ? 0 : soundVolume * musicVolume
+      );
+      const callback = Sinon.fake();
+
+      effective.subscribe(callback);
+      expect(effective.value).to.equal(0.25);
+
+      pause.value = true;
+      expect(effective.value).to.equal(0);
+      expect(callback.calledOnceWith(0, 0.25)).to.be.true;
+    });
+
+    it('should only listen to its sources while it has listeners', () => {
+      const source = new Property(1);
+      const derived = Property.combine([source], value => value);
+      const callback = () => {};
+
+      expect(source.hasListeners).to.be.false;
+      derived.subscribe(callback);
+      expect(source.hasListeners).to.be.true;
+      derived.unsubscribe(callback);
+      expect(source.hasListeners).to.be.false;
+    });
+  });
+
+  describe('dispose', () => {
+    it('should unsubscribe from the sources and stop updating', () => {
+      const source = new Property(1);
+      const derived = source.map(value => value * 2);
+      derived.subscribe(() => {});
+
+      derived.dispose();
+      source.value = 5;
+
+      expect(source.hasListeners).to.be.false;
+      expect(derived.hasListeners).to.be.false;
+      expect(derived.value).to.equal(2);
+    });
+  });
+
+  describe('subscription handles', () => {
+    it('should return a function that unsubscribes', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+
+      const unsubscribe = property.subscribe(callback);
+      unsubscribe();
+      property.value = 2;
+
+      expect(callback.callCount).to.equal(0);
+      expect(property.hasListeners).to.be.false;
+    });
+
+    it('should call immediate subscribers with the current value', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+
+      property.subscribe(callback, { immediate: true });
+      expect(callback.calledOnceWith(1)).to.be.true;
+    });
+  });
+
+  describe('once', () => {
+    it('should only notify the subscriber of the next change', () => {
+      const callback = Sinon.fake();
+      const other = Sinon.fake();
+      const property = new Property(1);
+
+      property.once(callback);
+      property.subscribe(other);
+      property.value = 2;
+      property.value = 3;
+
+      expect(callback.calledOnceWith(2, 1)).to.be.true;
+      expect(other.callCount).to.equal(2);
+    });
+  });
+
+  describe('batch', () => {
+    it('should notify listeners once the batch ends', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+      property.subscribe(callback);
+
+      const result = Property.batch(() => {
+        property.value = 2;
+        property.value = 3;
+        expect(callback.callCount).to.equal(0);
+        return 'done';
+      });
+
+      expect(result).to.equal('done');
+      expect(callback.calledOnceWith(3, 1)).to.be.true;
+    });
+
+    it('should not notify if the value ends the batch unchanged', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+      property.subscribe(callback);
+
+      Property.batch(() => {
+        property.value = 2;
+        property.value = 1;
+      });
+
+      expect(callback.callCount).to.equal(0);
+    });
+
+    it('should wait for the outermost batch', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+      property.subscribe(callback);
+
+      Property.batch(() => {
+        Property.batch(() => (property.value = 2));
+        expect(callback.callCount).to.equal(0);
+      });
+
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should notify derived listeners once with the final value', () => {
+      const callback = Sinon.fake();
+      const a = new Property(1);
+      const b = new Property(2);
+      Property.combine([a, b], (x, y) => x + y).subscribe(callback);
+
+      Property.batch(() => {
+        a.value = 10;
+        b.value = 20;
+      });
+
+      expect(callback.calledOnceWith(30, 3)).to.be.true;
+    });
+
+    it('should notify listeners if the batch throws', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+      property.subscribe(callback);
+
+      expect(() =>
+        Property.batch(() => {
+          property.value = 2;
+          throw new Error('failed');
+        })
+      ).to.throw('failed');
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should notify every property if a listener throws', () => {
+      const callback = Sinon.fake();
+      const first = new Property(1);
+      const second = new Property(1);
+      first.subscribe(() => {
+        throw new Error('listener failed');
+      });
+      second.subscribe(callback);
+
+      expect(() =>
+        Property.batch(() => {
+          first.value = 2;
+          second.value = 2;
+        })
+      ).to.throw('listener failed');
+      expect(callback.calledOnceWith(2, 1)).to.be.true;
+
+      Property.batch(() => (second.value = 3));
+      expect(callback.callCount).to.equal(2);
+    });
+  });
+
+  describe('equals', () => {
+    it('should compare plain objects by value with deep equality', () => {
+      const callback = Sinon.fake();
+      const property = new Property({ size: 'md', nested: [1] }, {
+        equals: 'deep'
+      });
+      property.subscribe(callback);
+
+      property.value = { size: 'md', nested: [1] };
+      expect(callback.callCount).to.equal(0);
+
+      property.value = { size: 'md', nested: [2] };
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should detect changes made in place', () => {
+      const callback = Sinon.fake();
+      const property = new Property({ left: 'a' }, { equals: 'shallow' });
+      property.subscribe(callback);
+
+      const value = property.value;
+      value.left = 'b';
+      property.value = value;
+
+      expect(callback.calledOnceWith({ left: 'b' }, { left: 'a' })).to.be.true;
+    });
+
+    it('should only compare the top level with shallow equality', () => {
+      const callback = Sinon.fake();
+      const property = new Property({ list: [1] }, { equals: 'shallow' });
+      property.subscribe(callback);
+
+      property.value = { list: [1] };
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should accept a custom equality function', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1.01, {
+        equals: (a, b) => Math.abs(a - b) < 0.1
+      });
+      property.subscribe(callback);
+
+      property.value = 1.05;
+      expect(callback.callCount).to.equal(0);
+      property.value = 2;
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should throw on unknown equality strategies', () => {
+      expect(() => new Property(1, { equals: 'fuzzy' })).to.throw(
+        'Unknown Property equality "fuzzy".'
+      );
+    });
+  });
+
+  describe('validator', () => {
+    it('should reject values that fail validation', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1, {
+        validator: value => 'number' === typeof value
+      });
+      property.subscribe(callback);
+
+      property.value = 'one';
+      expect(property.value).to.equal(1);
+      expect(callback.callCount).to.equal(0);
+    });
+  });
+
+  describe('transform', () => {
+    it('should normalize values before they are stored', () => {
+      const callback = Sinon.fake();
+      const property = new Property(0.5, {
+        transform: value => Math.min(Math.max(value, 0), 1)
+      });
+      property.subscribe(callback);
+
+      property.value = 4;
+      expect(property.value).to.equal(1);
+      property.value = 7;
+      expect(callback.callCount).to.equal(1);
+    });
+  });
 });
@@ -0,0 +1,203 @@
+import { Property } from './Property';
+
+/**
+ * Records the changes made to a set of properties, so they can be undone and redone. Each change is one history step,
+ * unless changes are grouped together with group(), including changes made inside a Property.batch.
+ * @export
+ * @class PropertyHistory
+ */
+export class PropertyHistory {
+  /**
+   * Creates an instance of PropertyHistory, and starts recording changes.
+   * @param {Property[] | Object.<string, Property>} properties The properties to record, e.g. application.state.
+   * @param {object} [options={}]
+   * @param {number} [options.depth=50] The most steps that can be undone. The oldest steps are forgotten first.
+   * @memberof PropertyHistory
+   */
+  constructor(properties, { depth = 50 } = {}) {
+    this.depth = depth;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.applying = false;
+    this.groupDepth = 0;
+    this.pendingGroup = null;
+
+    const list = Array.isArray(properties)
+      ? properties
+      : Object.keys(properties).map(key => properties[key]);
+
+    // changes are recorded as they are made, so changes made inside an outer Property.batch are recorded in the
+    // group, or ignored while undoing, before their listeners are notified
+    this.unsubscribers = list.map(property =>
+      property.watch((value, prevValue) =>
+        this.record(property, prevValue, value)
+      )
+    );
+  }
+
+  /**
+   * Whether there is a step that can be undone.
+   * @readonly
+   * @returns {boolean}
+   * @memberof PropertyHistory
+   */
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is an undone step that can be redone.
+   * @readonly
+   * @returns {boolean}
+   * @memberof PropertyHistory
+   */
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Records a change to one of the properties.
+   * @param {Property} property
+   * @param {*} from The value before the change.
+   * @param {*} to The value after the change.
+   * @private
+   * @memberof PropertyHistory
+   */
+  record(property, from, to) {
+    if (this.applying) {
+      return;
+    }
+
+    if (this.groupDepth > 0) {
+      const existing = this.pendingGroup.find(
+        change => change.property === property
+      );
+      if (existing) {
+        existing.to = to;
+      } else {
+        this.pendingGroup.push({ property, from, to });
+      }
+      return;
+    }
+
+    this.push([{ property, from, to }]);
+  }
+
+  /**
+   * Adds a step to the undo stack, and forgets every undone step.
+   * @param {Array<{property: Property, from: *, to: *}>} step
+   * @private
+   * @memberof PropertyHistory
+   */
+  push(step) {
+    this.undoStack.push(step);
+    if (this.undoStack.length > this.depth) {
+      this.undoStack.splice(0, this.undoStack.length - this.depth);
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Runs a function, and records every change it makes to the properties as a single step. Listeners are notified
+   * once the function returns, as in Property.batch.
+   * @param {function} callback The function that changes the properties.
+   * @return {*} The value returned by the callback.
+   * @memberof PropertyHistory
+   */
+  group(callback) {
+    if (0 === this.groupDepth) {
+      this.pendingGroup = [];
+    }
+
+    this.groupDepth++;
+    try {
+      return Property.batch(callback);
+    } finally {
+      this.groupDepth--;
+      if (0 === this.groupDepth) {
+        // ignore properties that ended the group with the value they started with
+        const step = this.pendingGroup.filter(
+          change => !change.property.equality.equals(change.from, change.to)
+        );
+        if (step.length) {
+          this.push(step);
+        }
+        this.pendingGroup = null;
+      }
+    }
+  }
+
+  /**
+   * Sets each property in a step to one side of its change.
+   * @param {Array<{property: Property, from: *, to: *}>} step
+   * @param {'from' | 'to'} side
+   * @private
+   * @memberof PropertyHistory
+   */
+  apply(step, side) {
+    this.applying = true;
+    try {
+      Property.batch(() => {
+        const changes = 'from' === side ? step.slice().reverse() : step;
+        for (let i = 0; i < changes.length; i++) {
+          changes[i].property.value = changes[i][side];
+        }
+      });
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * Reverts the most recent step.
+   * @return {boolean} Whether there was a step to undo.
+   * @memberof PropertyHistory
+   */
+  undo() {
+    if (!this.canUndo) {
+      return false;
+    }
+
+    const step = this.undoStack.pop();
+    this.apply(step, 'from');
+    this.redoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Reapplies the most recently undone step.
+   * @return {boolean} Whether there was a step to redo.
+   * @memberof PropertyHistory
+   */
+  redo() {
+    if (!this.canRedo) {
+      return false;
+    }
+
+    const step = this.redoStack.pop();
+    this.apply(step, 'to');
+    this.undoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Forgets every recorded step.
+   * @memberof PropertyHistory
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Stops recording changes and forgets every recorded step.
+   * @memberof PropertyHistory
+   */
+  destroy() {
+    for (let i = 0; i < this.unsubscribers.length; i++) {
+      this.unsubscribers[i]();
+    }
+    this.unsubscribers = [];
+    this.clear();
+  }
+}
@@ -0,0 +1,127 @@
+import { Property } from './Property';
+import { PropertyHistory } from './PropertyHistory';
+import Sinon from 'sinon';
+
+describe('PropertyHistory', () => {
+  let volume;
+  let speed;
+  let history;
+
+  beforeEach(() => {
+    volume = new Property(1);
+    speed = new Property(0.5);
+    history = new PropertyHistory({ volume, speed });
+  });
+
+  afterEach(() => {
+    history.destroy();
+  });
+
+  it('should undo and redo changes', () => {
+    expect(history.canUndo).to.be.false;
+
+    volume.value = 0.5;
+    volume.value = 0.2;
+    expect(history.canUndo).to.be.true;
+
+    expect(history.undo()).to.be.true;
+    expect(volume.value).to.equal(0.5);
+    expect(history.canRedo).to.be.true;
+
+    history.undo();
+    expect(volume.value).to.equal(1);
+    expect(history.undo()).to.be.false;
+
+    history.redo();
+    history.redo();
+    expect(volume.value).to.equal(0.2);
+    expect(history.redo()).to.be.false;
+  });
+
+  it('should forget undone steps when a new change is made', () => {
+    volume.value = 0.5;
+    history.undo();
+    speed.value = 1;
+
+    expect(history.canRedo).to.be.false;
+  });
+
+  it('should only keep the most recent steps', () => {
+    history.destroy();
+    history = new PropertyHistory([volume], { depth: 2 });
+
+    volume.value = 0.8;
+    volume.value = 0.6;
+    volume.value = 0.4;
+
+    history.undo();
+    history.undo();
+    expect(history.undo()).to.be.false;
+    expect(volume.value).to.equal(0.8);
+  });
+
+  it('should group changes to several properties into one step', () => {
+    const callback = Sinon.fake();
+    volume.subscribe(callback);
+
+    history.group(() => {
+      volume.value = 0;
+      volume.value = 0.3;
+      speed.value = 1;
+    });
+    expect(callback.callCount).to.equal(1);
+
+    history.undo();
+    expect(volume.value).to.equal(1);
+    expect(speed.value).to.equal(0.5);
+    expect(history.canUndo).to.be.false;
+
+    history.redo();
+    expect(volume.value).to.equal(0.3);
+    expect(speed.value).to.equal(1);
+  });
+
+  it('should not record groups that change nothing', () => {
+    history.group(() => {
+      volume.value = 0;
+      volume.value = 1;
+    });
+
+    expect(history.canUndo).to.be.false;
+  });
+
+  it('should record a group inside a batch as one step', () => {
+    Property.batch(() => {
+      history.group(() => {
+        volume.value = 0;
+        speed.value = 1;
+      });
+    });
+
+    history.undo();
+    expect(volume.value).to.equal(1);
+    expect(speed.value).to.equal(0.5);
+    expect(history.canUndo).to.be.false;
+  });
+
+  it('should not record undo and redo inside a batch', () => {
+    volume.value = 0.5;
+    Property.batch(() => history.undo());
+    expect(volume.value).to.equal(1);
+    expect(history.canUndo).to.be.false;
+    expect(history.canRedo).to.be.true;
+
+    Property.batch(() => history.redo());
+    expect(volume.value).to.equal(0.5);
+    expect(history.canRedo).to.be.false;
+    expect(history.canUndo).to.be.true;
+  });
+
+  it('should stop recording when destroyed', () => {
+    history.destroy();
+    volume.value = 0;
+
+    expect(history.canUndo).to.be.false;
+    expect(volume.hasListeners).to.be.false;
+  });
+});
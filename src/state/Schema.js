@@ -0,0 +1,243 @@
+/**
+ * @typedef {object} SchemaDescriptor
+ * @property {'any' | 'boolean' | 'number' | 'string' | 'object' | 'map' | 'array'} type The expected type of the value
+ * @property {number} [min] The smallest value a number can be
+ * @property {number} [max] The largest value a number can be
+ * @property {Array} [enum] The values a string is allowed to be
+ * @property {boolean} [ignoreCase=false] Whether a string matches enum values that only differ from it in case
+ * @property {Object.<string, SchemaDescriptor>} [properties] The schemas of each property of an object
+ * @property {SchemaDescriptor} [values] The schema every value of a map must match
+ * @property {SchemaDescriptor} [items] The schema every item of an array must match
+ * @property {boolean} [optional=false] Whether this property can be left out of its parent object
+ */
+
+/**
+ * @typedef {object} SchemaResult
+ * @property {boolean} valid Whether the value matched the schema
+ * @property {*} value The value, coerced to the schema type when possible
+ * @property {string} [error] A description of why the value did not match the schema
+ */
+
+/**
+ * Describes a value for error messages.
+ * @param {*} value
+ * @return {string}
+ * @private
+ */
+function describe(value) {
+  return undefined === value ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Whether the value is an object that is not null or an array.
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+function isPlainObject(value) {
+  return null !== value && 'object' === typeof value && !Array.isArray(value);
+}
+
+/**
+ * Whether a string is one of the values in a schema enum.
+ * @param {SchemaDescriptor} schema
+ * @param {string} value
+ * @return {boolean}
+ * @private
+ */
+function inEnum(schema, value) {
+  if (!schema.ignoreCase) {
+    return -1 !== schema.enum.indexOf(value);
+  }
+
+  const lower = value.toLowerCase();
+  return schema.enum.some(
+    item => 'string' === typeof item && item.toLowerCase() === lower
+  );
+}
+
+/**
+ * Validates values received from outside of the game against simple schema descriptors, coercing them to the expected
+ * type when it can be done safely (e.g. the string "0.7" to the number 0.7).
+ * @class Schema
+ */
+export class Schema {
+  /**
+   * Validates a value against a schema.
+   * @param {SchemaDescriptor} [schema] The schema to validate against. Any value is valid if this is not provided.
+   * @param {*} value The value to validate.
+   * @return {SchemaResult}
+   * @static
+   */
+  static validate(schema, value) {
+    if (!schema || undefined === schema.type || 'any' === schema.type) {
+      return { valid: true, value };
+    }
+
+    if (!Schema.types[schema.type]) {
+      return Schema.invalid(value, `unknown schema type "${schema.type}"`);
+    }
+
+    return Schema.types[schema.type](schema, value);
+  }
+
+  /**
+   * Creates a failed validation result.
+   * @param {*} value The value that failed validation.
+   * @param {string} error A description of the failure.
+   * @return {SchemaResult}
+   * @private
+   * @static
+   */
+  static invalid(value, error) {
+    return { valid: false, value, error };
+  }
+
+  /**
+   * The validation functions for each schema type.
+   * @readonly
+   * @returns {object}
+   * @static
+   * @memberof Schema
+   */
+  static get types() {
+    return {
+      boolean: (schema, value) => {
+        if ('true' === value || 'false' === value) {
+          value = 'true' === value;
+        }
+
+        if ('boolean' !== typeof value) {
+          return Schema.invalid(
+            value,
+            `expected a boolean but received ${describe(value)}`
+          );
+        }
+
+        return { valid: true, value };
+      },
+
+      number: (schema, value) => {
+        let number = value;
+        if ('string' === typeof value && '' !== value.trim()) {
+          number = Number(value);
+        }
+
+        if ('number' !== typeof number || isNaN(number)) {
+          return Schema.invalid(
+            value,
+            `expected a number but received ${describe(value)}`
+          );
+        }
+
+        if (
+          (undefined !== schema.min && number < schema.min) ||
+          (undefined !== schema.max && number > schema.max)
+        ) {
+          return Schema.invalid(
+            value,
+            `expected a number between ${schema.min} and ${
+              schema.max
+            } but received ${describe(value)}`
+          );
+        }
+
+        return { valid: true, value: number };
+      },
+
+      string: (schema, value) => {
+        if ('string' !== typeof value) {
+          return Schema.invalid(
+            value,
+            `expected a string but received ${describe(value)}`
+          );
+        }
+
+        if (schema.enum && !inEnum(schema, value)) {
+          return Schema.invalid(
+            value,
+            `expected one of ${schema.enum
+              .map(describe)
+              .join(', ')} but received ${describe(value)}`
+          );
+        }
+
+        return { valid: true, value };
+      },
+
+      object: (schema, value) => {
+        if (!isPlainObject(value)) {
+          return Schema.invalid(
+            value,
+            `expected an object but received ${describe(value)}`
+          );
+        }
+
+        const result = Object.assign({}, value);
+        const keys = Object.keys(schema.properties || {});
+        for (let i = 0; i < keys.length; i++) {
+          const property = schema.properties[keys[i]];
+
+          if (undefined === value[keys[i]]) {
+            if (property.optional) {
+              continue;
+            }
+            return Schema.invalid(value, `missing property "${keys[i]}"`);
+          }
+
+          const checked = Schema.validate(property, value[keys[i]]);
+          if (!checked.valid) {
+            return Schema.invalid(
+              value,
+              `property "${keys[i]}" ${checked.error}`
+            );
+          }
+          result[keys[i]] = checked.value;
+        }
+
+        return { valid: true, value: result };
+      },
+
+      map: (schema, value) => {
+        if (!isPlainObject(value)) {
+          return Schema.invalid(
+            value,
+            `expected an object but received ${describe(value)}`
+          );
+        }
+
+        const result = {};
+        const keys = Object.keys(value);
+        for (let i = 0; i < keys.length; i++) {
+          const checked = Schema.validate(schema.values, value[keys[i]]);
+          if (!checked.valid) {
+            return Schema.invalid(value, `key "${keys[i]}" ${checked.error}`);
+          }
+          result[keys[i]] = checked.value;
+        }
+
+        return { valid: true, value: result };
+      },
+
+      array: (schema, value) => {
+        if (!Array.isArray(value)) {
+          return Schema.invalid(
+            value,
+            `expected an array but received ${describe(value)}`
+          );
+        }
+
+        const result = [];
+        for (let i = 0; i < value.length; i++) {
+          const checked = Schema.validate(schema.items, value[i]);
+          if (!checked.valid) {
+            return Schema.invalid(value, `item ${i} ${checked.error}`);
+          }
+          result.push(checked.value);
+        }
+
+        return { valid: true, value: result };
+      }
+    };
+  }
+}
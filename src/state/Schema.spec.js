@@ -0,0 +1,150 @@
+import { Schema } from './Schema';
+
+describe('Schema', () => {
+  describe('validate', () => {
+    it('should accept any value if no schema is provided', () => {
+      const result = Schema.validate(undefined, { foo: 'bar' });
+      expect(result.valid).to.equal(true);
+      expect(result.value).to.deep.equal({ foo: 'bar' });
+    });
+
+    it('should reject unknown schema types', () => {
+      const result = Schema.validate({ type: 'date' }, 1);
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal('unknown schema type "date"');
+    });
+  });
+
+  describe('boolean', () => {
+    it('should coerce boolean strings', () => {
+      expect(Schema.validate({ type: 'boolean' }, 'true').value).to.equal(true);
+      expect(Schema.validate({ type: 'boolean' }, 'false').value).to.equal(
+        false
+      );
+    });
+
+    it('should reject other values', () => {
+      expect(Schema.validate({ type: 'boolean' }, 1).valid).to.equal(false);
+    });
+  });
+
+  describe('number', () => {
+    const schema = { type: 'number', min: 0, max: 1 };
+
+    it('should coerce numeric strings', () => {
+      const result = Schema.validate(schema, '0.7');
+      expect(result.valid).to.equal(true);
+      expect(result.value).to.equal(0.7);
+    });
+
+    it('should reject numbers out of range', () => {
+      const result = Schema.validate(schema, 5);
+      expect(result.valid).to.equal(false);
+      expect(result.value).to.equal(5);
+      expect(result.error).to.equal(
+        'expected a number between 0 and 1 but received 5'
+      );
+    });
+
+    it('should reject values that are not numbers', () => {
+      expect(Schema.validate(schema, 'loud').valid).to.equal(false);
+      expect(Schema.validate(schema, '').valid).to.equal(false);
+      expect(Schema.validate(schema, null).valid).to.equal(false);
+    });
+  });
+
+  describe('string', () => {
+    it('should reject values that are not in the enum', () => {
+      const result = Schema.validate({ type: 'string', enum: ['a', 'b'] }, 'c');
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal(
+        'expected one of "a", "b" but received "c"'
+      );
+    });
+
+    it('should reject values that are not strings', () => {
+      expect(Schema.validate({ type: 'string' }, 1).valid).to.equal(false);
+    });
+
+    it('should match enum values in any case if ignoreCase is set', () => {
+      const schema = {
+        type: 'string',
+        enum: ['None', 'Top'],
+        ignoreCase: true
+      };
+      expect(Schema.validate(schema, 'top')).to.deep.equal({
+        valid: true,
+        value: 'top'
+      });
+      expect(Schema.validate(schema, 'left').valid).to.equal(false);
+      expect(
+        Schema.validate({ type: 'string', enum: ['Top'] }, 'top').valid
+      ).to.equal(false);
+    });
+  });
+
+  describe('object', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        size: { type: 'number' },
+        label: { type: 'string', optional: true }
+      }
+    };
+
+    it('should validate and coerce each property', () => {
+      const result = Schema.validate(schema, { size: '2', extra: true });
+      expect(result.valid).to.equal(true);
+      expect(result.value).to.deep.equal({ size: 2, extra: true });
+    });
+
+    it('should reject objects missing required properties', () => {
+      const result = Schema.validate(schema, { label: 'a' });
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal('missing property "size"');
+    });
+
+    it('should reject invalid properties', () => {
+      const result = Schema.validate(schema, { size: 1, label: 3 });
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal(
+        'property "label" expected a string but received 3'
+      );
+    });
+
+    it('should reject arrays and null', () => {
+      expect(Schema.validate(schema, []).valid).to.equal(false);
+      expect(Schema.validate(schema, null).valid).to.equal(false);
+    });
+  });
+
+  describe('map', () => {
+    const schema = { type: 'map', values: { type: 'string' } };
+
+    it('should validate every value', () => {
+      expect(Schema.validate(schema, { jump: 'w', left: 'a' }).valid).to.equal(
+        true
+      );
+
+      const result = Schema.validate(schema, { jump: 'w', left: 4 });
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal(
+        'key "left" expected a string but received 4'
+      );
+    });
+  });
+
+  describe('array', () => {
+    const schema = { type: 'array', items: { type: 'number' } };
+
+    it('should validate and coerce every item', () => {
+      const result = Schema.validate(schema, [1, '2']);
+      expect(result.valid).to.equal(true);
+      expect(result.value).to.deep.equal([1, 2]);
+    });
+
+    it('should reject values that are not arrays', () => {
+      expect(Schema.validate(schema, { 0: 1 }).valid).to.equal(false);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { BellhopSingleton } from '../communication/BellhopSingleton';
+import { RpcClient } from '../communication/RpcClient';
 const onReturn = Symbol('onReturn');
 const READ = 'userDataRead';
 const WRITE = 'userDataWrite';
@@ -12,6 +13,74 @@ const IDBUPDATE = 'IDBUpdate';
 const IDBCLOSE = 'IDBClose';
 const IDBREADALL = 'IDBReadAll';
 const IDBDELETEDB = 'IDBDeleteDB';
+
+/**
+ * The schema of the container's answer to every IndexedDB request.
+ * @private
+ */
+const idbResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    result: { type: 'any', optional: true }
+  }
+};
+
+/**
+ * The schemas of the container's answers to UserData requests. Answers that do not match are ignored.
+ * @private
+ */
+const responseSchemas = {
+  [IDBOPEN]: idbResponseSchema,
+  [IDBADD]: idbResponseSchema,
+  [IDBREMOVE]: idbResponseSchema,
+  [IDBREAD]: idbResponseSchema,
+  [IDBUPDATE]: idbResponseSchema,
+  [IDBCLOSE]: idbResponseSchema,
+  [IDBREADALL]: idbResponseSchema,
+  [IDBDELETEDB]: idbResponseSchema
+};
+
+/**
+ * Requests that change data. They are only sent once, because a container without request ids can not tell a request
+ * that was sent again from a new one, e.g. an IDBAdd sent again would add the record again.
+ * @private
+ */
+const mutations = [WRITE, DELETE, IDBADD, IDBREMOVE, IDBUPDATE, IDBDELETEDB];
+
+/**
+ * The milliseconds a client waits for a reply over every attempt of a request, so requests that are sent once wait
+ * as long as requests that are sent again.
+ * @param {RpcClient} client
+ * @return {number}
+ * @private
+ */
+function totalTimeout(client) {
+  let total = 0;
+  for (let attempt = 0; attempt <= client.retries; attempt++) {
+    total += client.timeout * Math.pow(client.backoff, attempt);
+  }
+  return total;
+}
+
+/**
+ * The RpcClient of each container UserData has communicated through.
+ * @private
+ */
+const clients = new WeakMap();
+
+/**
+ * Whether requests can be sent to the container. Requests fail immediately while the connection is lost, instead of
+ * waiting for an answer that will not come.
+ * @return {boolean}
+ * @private
+ */
+function isConnected() {
+  return (
+    UserData.container.connected &&
+    !(UserData.connection && 'lost' === UserData.connection.value)
+  );
+}
 /**
  *
  * Manages data between SpringRoll Container and SpringRoll
@@ -21,45 +90,40 @@ const IDBDELETEDB = 'IDBDeleteDB';
 export class UserData {
 
   /**
-   * Handles return
+   * Sends a request to the container, and resolves with the container's answer.
    * @function
    * @memberof UserData
    * @name onReturn
-   * @param {*} data
-   * @param {number} [attempts=3]
    * @param {string} METHOD
+   * @param {*} data
    * @private
-   * @returns
+   * @returns {Promise<{type: string, data: *}>}
    * @static
    */
-  static [onReturn](METHOD, data, attempts = 3) {
-    return new Promise((resolve, reject) => {
-      let success = false;
-      let count = 0;
-
-      const onReturn = event => {
-        BellhopSingleton.off(METHOD, onReturn);
-        success = true;
-        resolve(event);
-      };
-      BellhopSingleton.on(METHOD, onReturn);
-
-      BellhopSingleton.send(METHOD, data);
-
-      const interval = setInterval(() => {
-        if (success) {
-          clearInterval(interval);
-          return;
-        }
-
-        if (count >= attempts) {
-          clearInterval(interval);
-          BellhopSingleton.off(METHOD, onReturn);
-          reject('No Response');
-        }
-        count++;
-      }, 100);
-    });
+  static [onReturn](METHOD, data) {
+    const rpc = UserData.rpc;
+    const options = { schema: responseSchemas[METHOD] };
+    if (-1 !== mutations.indexOf(METHOD)) {
+      options.retries = 0;
+      options.timeout = totalTimeout(rpc);
+    }
+    return rpc.request(METHOD, data, options);
+  }
+
+  /**
+   * The RpcClient that sends requests through UserData.container.
+   * @readonly
+   * @returns {RpcClient}
+   * @static
+   * @memberof UserData
+   */
+  static get rpc() {
+    let client = clients.get(UserData.container);
+    if (!client) {
+      client = new RpcClient(UserData.container);
+      clients.set(UserData.container, client);
+    }
+    return client;
   }
 
   /**
@@ -70,7 +134,7 @@ export class UserData {
    * @static
    */
   static read(name) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete read action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -91,7 +155,7 @@ export class UserData {
    */
   static write(name, value) {
     const warning = `Could not complete write action for ${name} with value ${value}. Bellhop is not connected.`;
-    return BellhopSingleton.connected
+    return isConnected()
       ? this[onReturn](WRITE, { name, value })
       : new Promise((_, reject) => reject(warning));
   }
@@ -103,7 +167,7 @@ export class UserData {
    * @static
    */
   static delete(name) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete read action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -119,7 +183,7 @@ export class UserData {
    * @static
    */
   static IDBOpen(dbName, dbVersion = null, additions = {}, deletions = {}) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -139,7 +203,7 @@ export class UserData {
    * @static
    */
   static IDBAdd(storeName, value, key = null) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -154,7 +218,7 @@ export class UserData {
    * @static
    */
   static IDBRemove(storeName, key) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -168,7 +232,7 @@ export class UserData {
    * @static
    */
   static IDBRead(storeName, key) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -183,7 +247,7 @@ export class UserData {
    * @param {string} object 
    */
   static IDBUpdate(storeName, key, value ) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -198,7 +262,7 @@ export class UserData {
    * @param {integer} count Specifies the number of values to return if more than one is found. 
    */
   static IDBReadAll(storeName, count = null) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -210,7 +274,7 @@ export class UserData {
    * Close the connection with the database
    */
   static IDBClose() {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -222,7 +286,7 @@ export class UserData {
    * @param {string} DBName The name of the database to be deleted
    */
   static IDBDeleteDB(dbName) {
-    if (!BellhopSingleton.connected) {
+    if (!isConnected()) {
       const warning = `Could not complete connect action for ${name}. Bellhop is not connected.`;
       return Promise.reject(warning);
     }
@@ -230,4 +294,20 @@ export class UserData {
 
   }
 }
+
+/**
+ * The container connection UserData communicates through. Can be replaced, e.g. with a MockContainer in tests.
+ * @static
+ * @type {Bellhop}
+ */
+UserData.container = BellhopSingleton;
+
+/**
+ * The status of the connection to the container, set by the Application. UserData requests are rejected while it is
+ * lost.
+ * @static
+ * @type {Property | null}
+ */
+UserData.connection = null;
+
 export default UserData;
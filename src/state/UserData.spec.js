@@ -25,6 +25,8 @@ describe('UserData', () => {
 
   afterEach(() => {
     container.connected = false;
+    // forget requests that timed out, so their grace period does not hold back the next test's requests
+    UserData.rpc.destroy();
   });
 
   describe('read', () => {
@@ -146,6 +148,20 @@ describe('UserData', () => {
         // make sure the UserData formatted it properly
         expect(result.success).to.equal(true);
       });
+
+      it('should ignore responses that are not formatted properly', async () => {
+        const promise = UserData.IDBOpen('test');
+
+        // a forged response without a success flag does not resolve the request
+        container.trigger({ type: 'IDBOpen', data: 'Success: IDBOpen' });
+        container.trigger({
+          type: 'IDBOpen',
+          data: { result: 'Success: IDBOpen', success: true }
+        });
+
+        const result = await promise;
+        expect(result.success).to.equal(true);
+      });
     });
   });
 
@@ -201,6 +217,15 @@ describe('UserData', () => {
       await assertThrows(() => UserData.IDBAdd('value'));
     });
 
+    it('should not send the request again', async () => {
+      sinon.stub(container, 'send');
+      await assertThrows(() => UserData.IDBAdd('value'));
+      const sent = container.send.withArgs('IDBAdd').callCount;
+      container.send.restore();
+
+      expect(sent).to.equal(1);
+    });
+
     describe('data formatting', () => {
       beforeEach(() => {
         sinon.stub(container, 'send');
@@ -1,2 +1,5 @@
 export * from './Property';
 export * from './UserData';
+export * from './Schema';
+export * from './PersistentSettings';
+export * from './PropertyHistory';
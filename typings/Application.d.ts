@@ -27,8 +27,205 @@ export type ApplicationFeatures = {
   inputCount?: boolean
   keyBinding?: boolean,
   colorVision?: boolean,
+  fullScreen?: boolean,
+  [key: string]: boolean | undefined
 };
 
+export type ApplicationFeatureOptions = {
+  name: string,
+  stateKey?: string,
+  default?: any,
+  containerEvent?: string | false,
+  requiresListener?: boolean,
+  schema?: SchemaDescriptor,
+  persist?: boolean,
+  equals?: PropertyEquality<any>
+}
+
+export type SchemaDescriptor = {
+  type: 'any' | 'boolean' | 'number' | 'string' | 'object' | 'map' | 'array',
+  min?: number,
+  max?: number,
+  enum?: any[],
+  ignoreCase?: boolean,
+  properties?: { [key: string]: SchemaDescriptor },
+  values?: SchemaDescriptor,
+  items?: SchemaDescriptor,
+  optional?: boolean
+}
+
+export type SchemaResult = {
+  valid: boolean,
+  value: any,
+  error?: string
+}
+
+export class PersistentSettings {
+  constructor(key?: string, options?: { timeout?: number, container?: BellhopIframe.Bellhop | MockContainer });
+  key: string;
+  timeout: number;
+  container: BellhopIframe.Bellhop | MockContainer;
+  load(): Promise<object>;
+  save(settings: object): Promise<any>;
+}
+
+export type StandaloneControl = {
+  stateKey: string,
+  schema: SchemaDescriptor
+}
+
+export class StandalonePanel {
+  constructor(state: { [key: string]: Property<any> }, controls: StandaloneControl[]);
+  state: { [key: string]: Property<any> };
+  controls: StandaloneControl[];
+  element: HTMLElement | null;
+  mount(parent?: HTMLElement): void;
+  destroy(): void;
+}
+
+export type ErrorReport = {
+  type: 'error' | 'unhandledrejection' | 'plugin',
+  message: string,
+  stack?: string,
+  plugin?: string,
+  context: { [key: string]: any }
+}
+
+export type InspectedMessage = {
+  direction: 'in' | 'out',
+  type: string,
+  data: any,
+  timestamp: number
+};
+
+export class MessageInspector {
+  constructor(container: BellhopIframe.Bellhop | MockContainer, options?: { maxEntries?: number, log?: string | false });
+  container: BellhopIframe.Bellhop | MockContainer;
+  maxEntries: number;
+  log: string | false;
+  entries: InspectedMessage[];
+  element: HTMLElement | null;
+  readonly recording: boolean;
+  start(): void;
+  stop(): void;
+  query(query?: { direction?: 'in' | 'out', type?: string | RegExp, since?: number, until?: number }): InspectedMessage[];
+  clear(): void;
+  dump(query?: { direction?: 'in' | 'out', type?: string | RegExp, since?: number, until?: number }): string;
+  mount(parent?: HTMLElement): void;
+  unmount(): void;
+  destroy(): void;
+}
+
+export class ErrorReporter {
+  constructor(container: BellhopIframe.Bellhop, options?: { duplicateInterval?: number });
+  container: BellhopIframe.Bellhop;
+  duplicateInterval: number;
+  started: boolean;
+  start(): void;
+  stop(): void;
+  addContext(provider: (report: ErrorReport) => object): void;
+  removeContext(provider: (report: ErrorReport) => object): void;
+  report(error: any, details?: { type?: string, plugin?: string }): ErrorReport | null;
+  static normalize(error: any): { message: string, stack?: string };
+}
+
+export type TrackedEvent = {
+  event: string,
+  data: object,
+  timestamp: number,
+  sessionId: string,
+  gameId?: string
+}
+
+export interface AnalyticsSink {
+  ready?: boolean;
+  send(events: TrackedEvent[]): void;
+}
+
+export type TrackerOptions = {
+  sink: AnalyticsSink,
+  batchSize?: number,
+  flushInterval?: number,
+  maxQueueSize?: number,
+  getGameId?: () => string | undefined
+}
+
+export class Tracker {
+  constructor(options: TrackerOptions);
+  sink: AnalyticsSink;
+  batchSize: number;
+  flushInterval: number;
+  maxQueueSize: number;
+  sessionId: string;
+  queue: TrackedEvent[];
+  track(eventName: string, data?: object): TrackedEvent;
+  flush(): void;
+  destroy(): void;
+}
+
+export class BellhopSink implements AnalyticsSink {
+  constructor(container: BellhopIframe.Bellhop, eventName?: string);
+  container: BellhopIframe.Bellhop;
+  eventName: string;
+  readonly ready: boolean;
+  send(events: TrackedEvent[]): void;
+}
+
+export class LogSink implements AnalyticsSink {
+  constructor(options?: { log?: boolean });
+  log: boolean;
+  ready: boolean;
+  events: TrackedEvent[];
+  batches: TrackedEvent[][];
+  send(events: TrackedEvent[]): void;
+  clear(): void;
+}
+
+export type LearningStatement = {
+  id: string,
+  actor: object,
+  verb: { id: string, display: { [language: string]: string } },
+  object: { objectType: 'Activity', id: string, definition?: object },
+  result?: {
+    success?: boolean,
+    completion?: boolean,
+    response?: string,
+    duration?: string,
+    score?: { raw: number, min?: number, max?: number, scaled?: number }
+  },
+  context: object,
+  timestamp: string
+}
+
+export type LearningRecorderOptions = {
+  sink: AnalyticsSink,
+  activityId: string,
+  name?: string,
+  actor?: object,
+  language?: string
+}
+
+export class LearningRecorder {
+  constructor(options: LearningRecorderOptions);
+  sink: AnalyticsSink;
+  activityId: string;
+  name?: string;
+  actor: object;
+  language: string;
+  attempt: { id: string, start: number } | null;
+  attempted(): LearningStatement;
+  answered(questionId: string, options?: { response?: any, success?: boolean, name?: string }): LearningStatement;
+  scored(raw: number, options?: { min?: number, max?: number }): LearningStatement;
+  completed(options?: { success?: boolean, score?: number, min?: number, max?: number }): LearningStatement;
+  flush(): void;
+  static validate(statement: LearningStatement): SchemaResult;
+}
+
+export class Schema {
+  static validate(schema: SchemaDescriptor | undefined, value: any): SchemaResult;
+  static types: { [type: string]: (schema: SchemaDescriptor, value: any) => SchemaResult };
+}
+
 export type CaptionStyle = {
   color: string,
   edge: string,
@@ -40,12 +237,37 @@ export type CaptionStyle = {
 }
 
 export type KeyBinding = {
-  [key:string]: string
+  actionName: string,
+  currentKey: string
+}[]
+
+export type ContainerInfo = {
+  version: number,
+  capabilities: string[],
+  legacy: boolean
 }
 
 export type ApplicationConfig = {
   features?: ApplicationFeatures,
-  hintPlayer?: IHintPlayer
+  hintPlayer?: IHintPlayer,
+  plugins?: Array<ApplicationPlugin | (new () => ApplicationPlugin)>,
+  syncState?: boolean,
+  persistSettings?: boolean | { key?: string, exclude?: string[] },
+  standalonePanel?: boolean,
+  standaloneTimeout?: number,
+  preloadTimeout?: number,
+  autoPause?: boolean | { visibility?: boolean, blur?: boolean },
+  reportErrors?: boolean,
+  analytics?: Partial<TrackerOptions>,
+  learning?: Partial<LearningRecorderOptions> & { activityId: string },
+  playOptions?: { [name: string]: SchemaDescriptor & { default?: any } },
+  playOptionsTimeout?: number,
+  container?: BellhopIframe.Bellhop | MockContainer,
+  handshakeTimeout?: number,
+  heartbeatInterval?: number,
+  heartbeatTimeout?: number,
+  trustedOrigins?: Array<string | RegExp>,
+  inspectMessages?: boolean | { maxEntries?: number, log?: string | false, panel?: boolean }
 }
 
 export class Application {
@@ -80,41 +302,186 @@ export class Application {
   }
   hints: IHintPlayer;
   features: ApplicationFeatures;
-  container: BellhopIframe.Bellhop;
+  container: BellhopIframe.Bellhop | MockContainer;
+  plugins: ApplicationPlugin[];
+  destroyed: boolean;
+  syncState: boolean;
+  preloadTimeout: number;
+  autoPause: { visibility: boolean, blur: boolean } | null;
+  autoPaused: boolean;
+  settings: PersistentSettings | null;
+  standalone: boolean;
+  standalonePanel: StandalonePanel | null;
+  errorReporter: ErrorReporter | null;
+  tracker: Tracker;
+  track(eventName: string, data?: object): TrackedEvent;
+  learning: LearningRecorder | null;
+  playOptionsSchema: { [name: string]: SchemaDescriptor & { default?: any } } | null;
+  registerState<T>(name: string, property: Property<T>): Property<T>;
+  snapshot(): { [key: string]: any };
+  restore(snapshot: { [key: string]: any }): void;
+  containerInfo: ContainerInfo | null;
+  handshake: Promise<ContainerInfo | null>;
+  containerSupports(capability: string): boolean;
+  connection: Property<ConnectionStatus>;
+  connectionMonitor: ConnectionMonitor;
+  trustedOrigins: TrustedOrigins | null;
+  messageInspector: MessageInspector | null;
   setupPlugins(): Promise<void>;
+  destroy(): void;
+  restoreSettings(): Promise<void>;
+  updateAutoPause(): void;
   getPlugin(name: string): ApplicationPlugin | undefined
-  static _plugins: ApplicationPlugin[];
+  static protocolVersion: number;
+  static capabilities: string[];
+  static _plugins: Array<ApplicationPlugin | (new () => ApplicationPlugin)>;
   static getPlugin(name: string): ApplicationPlugin | undefined
-  static uses(plugin: ApplicationPlugin): void
+  static uses(plugin: ApplicationPlugin | (new () => ApplicationPlugin)): void
+  static _features: ApplicationFeatureOptions[];
+  static registerFeature(feature: ApplicationFeatureOptions): void
 }
 
 export interface ApplicationPluginOptions {
   name: string;
+  required?: string[];
+  optional?: string[];
+  preloadTimeout?: number;
 }
 
 export class ApplicationPlugin {
   constructor(options: ApplicationPluginOptions)
   name: string;
+  required: string[];
+  optional: string[];
+  preloadTimeout?: number;
   start(app: Application): void;
-  preload(app: Application): Promise<any>;
+  preload(app: Application, progress: (value: number) => void): Promise<any>;
   init(app: Application): void;
+  destroy(app: Application): void;
 }
 
 
+export type PropertyEquality<T> = 'strict' | 'shallow' | 'deep' | ((a: T, b: T) => boolean);
+
+export type PropertyOptions<T> = {
+  alwaysNotify?: boolean,
+  equals?: PropertyEquality<T>,
+  validator?: (value: T) => boolean,
+  transform?: (value: any, currentValue: T) => T
+}
+
 export type PropertyChangeListener<T> = (value: T, previousValue: T) => void;
 
 export class Property<T> {
-  constructor(initialValue: T, alwaysNotify?: boolean);
+  constructor(initialValue: T, options?: boolean | PropertyOptions<T>);
+  alwaysNotify: boolean;
+  equality: { equals: (a: T, b: T) => boolean, copy: (value: T) => T };
+  validator: ((value: T) => boolean) | null;
+  transform: ((value: any, currentValue: T) => T) | null;
   private _value: T;
   private listeners: PropertyChangeListener<T>[];
   value: T;
   notifyChange(): void;
-  subscribe(callback: PropertyChangeListener<T>): void;
+  subscribe(callback: PropertyChangeListener<T>, options?: { immediate?: boolean }): () => void;
+  once(callback: PropertyChangeListener<T>): () => void;
   unsubscribe(callback: PropertyChangeListener<T>): void;
+  watch(callback: PropertyChangeListener<T>): () => void;
   hasListeners: boolean;
+  map<U>(transform: (value: T) => U): DerivedProperty<U>;
+  filter(predicate: (value: T) => boolean): DerivedProperty<T | undefined>;
+  static batch<U>(callback: () => U): U;
+  static combine<U>(properties: Property<any>[], combiner: (...values: any[]) => U): DerivedProperty<U>;
+}
+
+export class DerivedProperty<T> extends Property<T> {
+  constructor(sources: Property<any>[], derive: (values: any[], previousValue: T) => T, alwaysNotify?: boolean);
+  sources: Property<any>[];
+  disposed: boolean;
+  readonly value: T;
+  dispose(): void;
+}
+
+export class PropertyHistory {
+  constructor(properties: Property<any>[] | { [key: string]: Property<any> }, options?: { depth?: number });
+  depth: number;
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+  group<U>(callback: () => U): U;
+  undo(): boolean;
+  redo(): boolean;
+  clear(): void;
+  destroy(): void;
+}
+
+export class MockContainer {
+  constructor(options?: {
+    userData?: { [name: string]: any },
+    handshake?: { version: number, capabilities: string[] } | false
+  });
+  connected: boolean;
+  connecting: boolean;
+  sent: { type: string, data: any }[];
+  userData: { [name: string]: any };
+  handlers: { [type: string]: (data: any) => any };
+  connect(): void;
+  disconnect(): void;
+  on(type: string, callback: (event: { type: string, data: any }) => void, priority?: number): void;
+  off(type: string, callback?: (event: { type: string, data: any }) => void): void;
+  trigger(event: string | { type: string, data?: any }, data?: any): void;
+  send(type: string, data?: any): void;
+  fetch(type: string, callback: (event: { type: string, data: any }) => void, data?: any, runOnce?: boolean): void;
+  respond(type: string, data?: any, runOnce?: boolean): void;
+  push(type: string, data?: any): void;
+  messages(type?: string): { type: string, data: any }[];
+  lastMessage(type: string): any;
+  clearMessages(): void;
+  install(): void;
+  uninstall(): void;
+  destroy(): void;
+}
+
+export type ConnectionStatus = 'connecting' | 'connected' | 'lost';
+
+export class ConnectionMonitor {
+  constructor(container: BellhopIframe.Bellhop | MockContainer, options?: { interval?: number, timeout?: number, origin?: string, reconnectDelay?: number, maxReconnectDelay?: number });
+  container: BellhopIframe.Bellhop | MockContainer;
+  interval: number;
+  timeout: number;
+  origin: string;
+  reconnectDelay: number;
+  maxReconnectDelay: number;
+  status: Property<ConnectionStatus>;
+  readonly running: boolean;
+  start(): void;
+  stop(): void;
+  destroy(): void;
+}
+
+export class TrustedOrigins {
+  constructor(origins: Array<string | RegExp>);
+  origins: Array<string | RegExp>;
+  readonly targetOrigin: string;
+  allows(origin: string): boolean;
+  guard(container: BellhopIframe.Bellhop): void;
+  unguard(): void;
+}
+
+export class RpcClient {
+  constructor(container: BellhopIframe.Bellhop | MockContainer, options?: { timeout?: number, retries?: number, backoff?: number, correlate?: boolean, grace?: number });
+  container: BellhopIframe.Bellhop | MockContainer;
+  timeout: number;
+  retries: number;
+  backoff: number;
+  correlate: boolean;
+  grace: number;
+  request(type: string, data?: any, options?: { timeout?: number, retries?: number, backoff?: number, schema?: SchemaDescriptor }): Promise<{ type: string, data: any }>;
+  destroy(): void;
 }
 
 export class UserData {
+  static container: BellhopIframe.Bellhop | MockContainer;
+  static readonly rpc: RpcClient;
+  static connection: Property<ConnectionStatus> | null;
   static read(name:string): Promise<any>;
   static write(name:string, value:any):Promise<any>;
   static delete(name:string): void;